@@ -0,0 +1,249 @@
+const ChessRules = require('../shared/chess-rules');
+const { matchSuggestion, validateLine } = require('./moves');
+const prompts = require('./prompts');
+const { createLogger } = require('./logger');
+
+// How many times the model may answer before we give up on a position
+const MAX_SUGGESTION_ATTEMPTS = 3;
+
+// Token budget per explanation level; 'move' uses the provider default
+const VERBOSITY_MAX_TOKENS = {
+    short: 100,
+    full: 400
+};
+
+// Token budget per requested candidate move
+const CANDIDATE_MAX_TOKENS = 60;
+
+// Pull the first JSON object out of a model answer, tolerating code fences and prose
+function parseJsonAnswer(text) {
+    const match = text && text.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    try {
+        return JSON.parse(match[0]);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Read string fields out of a JSON answer that is still being streamed,
+// including a field whose closing quote hasn't arrived yet
+function extractPartialFields(text, fields) {
+    const partial = {};
+    for (const field of fields) {
+        const match = text.match(new RegExp(`"${field}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+        if (match) {
+            partial[field] = match[1].replace(/\\(.)/g, (escape, char) => (char === 'n' ? '\n' : char));
+        }
+    }
+    return partial;
+}
+
+function textOrNull(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+// Shape the explanation fields the model returned for the requested level
+function buildExplanation(position, move, data, verbosity) {
+    const explanation = { reason: textOrNull(data.reason) };
+    if (verbosity === 'full') {
+        explanation.plan = textOrNull(data.plan);
+        explanation.threats = Array.isArray(data.threats)
+            ? data.threats.map(textOrNull).filter(Boolean)
+            : [];
+        explanation.line = validateLine(position, move, data.line);
+    }
+    return explanation;
+}
+
+// The advisor turns provider answers into legal moves. Every request goes through
+// askForLegalMove(), which re-prompts with the legal-move list until the answer
+// matches a legal move.
+// Every request also takes `onUsage`, called with the provider's token usage
+// (or null) after each provider call, and `log`, a logger for the request.
+function createAdvisor(provider, { maxAttempts = MAX_SUGGESTION_ATTEMPTS, logger = createLogger() } = {}) {
+    // `extract` maps the raw answer to { moveText, data } so structured answers
+    // (e.g. the review JSON) can carry more than the move itself.
+    // `onProgress` receives { type: 'analysing', attempt, retryReason } before each
+    // provider call, and `onDelta` is passed through to stream the answer.
+    // `verbosity` is the explanation level the correction prompt asks for again.
+    async function askForLegalMove(position, fen, messages, { extract, maxTokens, verbosity, onProgress, onDelta, onUsage, log = logger, signal } = {}) {
+        const legal = ChessRules.legalMoves(position);
+        let raw = null;
+        let data = null;
+        let retryReason = null;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            if (onProgress) {
+                onProgress({ type: 'analysing', attempt, retryReason });
+            }
+            const completion = await provider.complete(messages, { fen, maxTokens, onDelta, log, signal });
+            raw = completion.text;
+            if (onUsage) onUsage(completion.usage || null);
+            log.debug('Provider response', { attempt, raw, usage: completion.usage || null });
+
+            const extracted = extract ? extract(raw) : { moveText: raw };
+            data = extracted.data || null;
+            const { move, reason } = matchSuggestion(position, extracted.moveText, legal);
+            if (move) {
+                return { move, attempts: attempt, raw, data };
+            }
+
+            log.warn('Rejected suggestion', { attempt, reason });
+            retryReason = reason;
+            messages.push(
+                { role: 'assistant', content: raw },
+                { role: 'user', content: prompts.getCorrectionMessage(reason, legal, verbosity) }
+            );
+        }
+
+        return { move: null, attempts: maxAttempts, raw, data };
+    }
+
+    // Best move for a position. Resolves to { move, attempts, raw, explanation },
+    // with move null when every attempt failed and explanation null for the
+    // 'move' verbosity level. `opening` (e.g. "C50 Italian Game (still in book)")
+    // is mentioned in the prompt when given.
+    // With `onProgress`, the answer is streamed and explanation text is reported
+    // as { type: 'partial', explanation } while the model is still writing.
+    async function suggestMove(position, { fen, currentMove, playerColor, verbosity = 'move', opening, onProgress, onUsage, log, signal }) {
+        const legal = ChessRules.legalMoves(position);
+        const messages = [
+            { role: 'system', content: prompts.getPrompt(playerColor, verbosity) },
+            { role: 'user', content: prompts.getPositionMessage(fen, currentMove, playerColor, legal, verbosity, opening, position.chess960) }
+        ];
+
+        if (verbosity === 'move') {
+            const result = await askForLegalMove(position, fen, messages, { onProgress, onUsage, log, signal });
+            return Object.assign(result, { explanation: null });
+        }
+
+        let lastPartial = '';
+        const onDelta = onProgress && ((delta, textSoFar) => {
+            const partial = extractPartialFields(textSoFar, ['reason', 'plan']);
+            const serialized = JSON.stringify(partial);
+            if (Object.keys(partial).length && serialized !== lastPartial) {
+                lastPartial = serialized;
+                onProgress({ type: 'partial', explanation: partial });
+            }
+        });
+
+        const result = await askForLegalMove(position, fen, messages, {
+            onProgress,
+            onDelta,
+            onUsage,
+            log,
+            signal,
+            verbosity,
+            maxTokens: VERBOSITY_MAX_TOKENS[verbosity],
+            extract: raw => {
+                const json = parseJsonAnswer(raw);
+                return json ? { moveText: String(json.move || ''), data: json } : { moveText: raw };
+            }
+        });
+        result.explanation = result.move ? buildExplanation(position, result.move, result.data || {}, verbosity) : null;
+        return result;
+    }
+
+    // Ranked candidate moves for study. Resolves to { candidates, attempts, raw }
+    // where each candidate is { rank, move, confidence, idea }. The model is only
+    // re-prompted when its top move is illegal; illegal or repeated moves further
+    // down the list are dropped.
+    async function suggestCandidates(position, { fen, currentMove, playerColor, count, opening, onProgress, onUsage, log, signal }) {
+        const legal = ChessRules.legalMoves(position);
+        const messages = [
+            { role: 'system', content: prompts.getCandidatesPrompt(playerColor, count) },
+            { role: 'user', content: prompts.getCandidatesMessage(fen, currentMove, playerColor, legal, count, opening, position.chess960) }
+        ];
+
+        const readCandidates = data => (data && Array.isArray(data.candidates) ? data.candidates : []);
+        const result = await askForLegalMove(position, fen, messages, {
+            onProgress,
+            onUsage,
+            log,
+            signal,
+            maxTokens: CANDIDATE_MAX_TOKENS * count,
+            // Providers that ignore the JSON format (e.g. the mock) still give us one move
+            extract: raw => {
+                const json = parseJsonAnswer(raw);
+                const first = readCandidates(json)[0];
+                return first ? { moveText: String(first.move || ''), data: json } : { moveText: raw };
+            }
+        });
+        if (!result.move) {
+            return { candidates: [], attempts: result.attempts, raw: result.raw };
+        }
+
+        const entries = readCandidates(result.data);
+        const candidates = [];
+        const seen = new Set();
+        entries.forEach((entry, index) => {
+            const move = index === 0 ? result.move : matchSuggestion(position, String(entry.move || ''), legal).move;
+            if (!move || seen.has(move.uci) || candidates.length >= count) return;
+            seen.add(move.uci);
+            const confidence = Number(entry.confidence);
+            candidates.push({
+                rank: candidates.length + 1,
+                move,
+                confidence: Number.isFinite(confidence) ? Math.max(0, Math.min(100, Math.round(confidence))) : null,
+                idea: textOrNull(entry.idea)
+            });
+        });
+        if (!candidates.length) {
+            candidates.push({ rank: 1, move: result.move, confidence: null, idea: null });
+        }
+
+        return { candidates, attempts: result.attempts, raw: result.raw };
+    }
+
+    // Annotation for one played move: the best alternative, a classification
+    // and a short comment.
+    async function annotateMove(position, played, { onUsage, log, signal } = {}) {
+        const fen = ChessRules.toFen(position);
+        const legal = ChessRules.legalMoves(position);
+        const moveLabel = `${position.fullmove}${position.turn === 'w' ? '.' : '...'}`;
+        const messages = [
+            { role: 'system', content: prompts.getReviewPrompt() },
+            { role: 'user', content: prompts.getReviewMessage(fen, played.san, moveLabel, legal, position.chess960) }
+        ];
+
+        const result = await askForLegalMove(position, fen, messages, {
+            onUsage,
+            log,
+            signal,
+            maxTokens: 120,
+            // Providers that ignore the JSON format (e.g. the mock) still give us a move
+            extract: raw => {
+                const json = parseJsonAnswer(raw);
+                return json ? { moveText: String(json.best || ''), data: json } : { moveText: raw };
+            }
+        });
+
+        const data = result.data || {};
+        let classification = prompts.REVIEW_CLASSIFICATIONS.includes(data.classification)
+            ? data.classification
+            : null;
+        if (result.move && result.move.uci === played.uci) {
+            classification = 'best';
+        } else if (classification === 'best') {
+            classification = 'good';
+        }
+
+        return {
+            best: result.move,
+            classification,
+            comment: typeof data.comment === 'string' ? data.comment.trim() : null,
+            attempts: result.attempts
+        };
+    }
+
+    return {
+        suggestMove,
+        suggestCandidates,
+        annotateMove
+    };
+}
+
+module.exports = {
+    createAdvisor
+};
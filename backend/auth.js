@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+// Signed, expiring client tokens. A client registers once and is issued a
+// client ID with a token for it; quotas are charged to that ID, so a client
+// can't pick its own identity. Tokens are HMAC-signed, not stored: the
+// signing secret is all the server needs to verify them.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read auth settings from the environment
+function getAuthConfig(env = process.env) {
+    return {
+        // Without a secret a random one is made at startup, so tokens don't
+        // survive a restart and clients register again. Required in production.
+        secret: env.AUTH_TOKEN_SECRET,
+        production: env.NODE_ENV === 'production',
+        tokenTtlSeconds: Number(env.AUTH_TOKEN_TTL_SECONDS) || 24 * 60 * 60,
+        // How long after expiring a token can still be exchanged for a new one
+        refreshWindowSeconds: Number(env.AUTH_REFRESH_WINDOW_SECONDS) || 30 * 24 * 60 * 60,
+        // New client IDs per client address and day
+        registrationsPerDay: Number(env.AUTH_REGISTRATIONS_PER_DAY) || 5,
+        // Older extension builds are asked to upgrade
+        minClientVersion: env.MIN_CLIENT_VERSION || '1.1'
+    };
+}
+
+// Compare dotted version numbers: negative when a < b, 0 when equal, positive when a > b
+function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+function isValidVersion(version) {
+    return /^\d+(\.\d+)*$/.test(version);
+}
+
+function createAuth(store, config) {
+    if (!config.secret && config.production) {
+        throw new Error('AUTH_TOKEN_SECRET is required in production');
+    }
+    const secret = config.secret || crypto.randomBytes(32).toString('hex');
+
+    function signature(encodedPayload) {
+        return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+    }
+
+    // Credentials for a client: { clientId, token, expiresAt }
+    function issue(clientId) {
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const payload = { sub: clientId, iat: issuedAt, exp: issuedAt + config.tokenTtlSeconds };
+        const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        return {
+            clientId,
+            token: `${encodedPayload}.${signature(encodedPayload)}`,
+            expiresAt: new Date(payload.exp * 1000).toISOString()
+        };
+    }
+
+    // { valid: true, clientId } for a good token. Otherwise { valid: false,
+    // reason } with reason 'invalid' or 'expired'; expired tokens also give
+    // the clientId and expiredAt (ms).
+    function verify(token) {
+        const [encodedPayload, givenSignature, ...rest] = String(token || '').split('.');
+        if (!encodedPayload || !givenSignature || rest.length) {
+            return { valid: false, reason: 'invalid' };
+        }
+        const expected = Buffer.from(signature(encodedPayload));
+        const given = Buffer.from(givenSignature);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return { valid: false, reason: 'invalid' };
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return { valid: false, reason: 'invalid' };
+        }
+        if (typeof payload.sub !== 'string' || !Number.isFinite(payload.exp)) {
+            return { valid: false, reason: 'invalid' };
+        }
+        if (payload.exp * 1000 <= Date.now()) {
+            return { valid: false, reason: 'expired', clientId: payload.sub, expiredAt: payload.exp * 1000 };
+        }
+        return { valid: true, clientId: payload.sub };
+    }
+
+    // A new client ID with its first token. Resolves to { allowed, credentials },
+    // with `allowed` false and `retryAfterMs` instead when `address` has
+    // registered too often today.
+    async function register(address) {
+        const key = `registrations:${address}`;
+        let record = await store.get(key);
+        if (!record || record.resetAt <= Date.now()) {
+            record = { count: 0, resetAt: Date.now() + DAY_MS };
+        }
+        if (record.count >= config.registrationsPerDay) {
+            return { allowed: false, retryAfterMs: record.resetAt - Date.now() };
+        }
+        record.count++;
+        await store.set(key, record, record.resetAt - Date.now());
+        return { allowed: true, credentials: issue(crypto.randomUUID()) };
+    }
+
+    // A new token for the same client, from a valid token or one that expired
+    // within the refresh window. Returns the credentials, or null.
+    function refresh(token) {
+        const result = verify(token);
+        if (result.valid ||
+            (result.reason === 'expired' && Date.now() - result.expiredAt <= config.refreshWindowSeconds * 1000)) {
+            return issue(result.clientId);
+        }
+        return null;
+    }
+
+    return {
+        hasRandomSecret: !config.secret,
+        verify,
+        register,
+        refresh
+    };
+}
+
+module.exports = {
+    getAuthConfig,
+    compareVersions,
+    isValidVersion,
+    createAuth
+};
@@ -0,0 +1,100 @@
+const ChessRules = require('../shared/chess-rules');
+const { describeMove, checkMoveText } = require('./moves');
+
+// Most positions a single batch request may ask about
+const MAX_BATCH_POSITIONS = 100;
+
+// One position of a batch: { index, fen, lastMove, position }, or with `error`,
+// `details` and `status` instead of `position` when it can't be analysed
+function loadPosition(index, fen, lastMove, options) {
+    const validation = ChessRules.validateFen(fen, options);
+    if (!validation.valid) {
+        return { index, fen, lastMove, status: 400, error: 'Invalid chess position format', details: validation.error };
+    }
+    const outcome = ChessRules.outcome(validation.position);
+    if (outcome) {
+        return { index, fen, lastMove, status: 422, error: `No legal moves in this position (${outcome})` };
+    }
+    return { index, fen, lastMove, position: validation.position };
+}
+
+// The positions of a batch request, from `positions` (FEN strings, or
+// { fen, lastMove, id } objects) or from a `pgn` game: the position before
+// every move, and the final one unless the game is over. PGN positions also
+// carry ply, moveNumber and the move that was played. Returns { game, items }
+// with game null for a FEN list. Throws with a readable message when the
+// request as a whole can't be used.
+function loadBatch({ positions, pgn, variant = 'standard' }) {
+    if ((positions === undefined) === (pgn === undefined)) {
+        throw new Error('Send either positions or pgn');
+    }
+
+    if (positions !== undefined) {
+        if (!Array.isArray(positions) || positions.length === 0) {
+            throw new Error('positions must be a non-empty list of FENs');
+        }
+        if (positions.length > MAX_BATCH_POSITIONS) {
+            throw new Error(`A batch can have at most ${MAX_BATCH_POSITIONS} positions`);
+        }
+        const options = { chess960: variant === 'chess960' };
+        const items = positions.map((entry, index) => {
+            const { fen, lastMove = 'unknown', id } = typeof entry === 'string' ? { fen: entry } : (entry || {});
+            const moveError = checkMoveText(`positions[${index}].lastMove`, lastMove);
+            if (moveError) {
+                throw new Error(moveError);
+            }
+            const item = loadPosition(index, fen, lastMove, options);
+            return id === undefined ? item : Object.assign(item, { id });
+        });
+        return { game: null, items };
+    }
+
+    if (!pgn || typeof pgn !== 'string') {
+        throw new Error('pgn must be a non-empty string');
+    }
+    const game = ChessRules.parsePgn(pgn);
+    const options = { chess960: game.chess960 || variant === 'chess960' };
+    const validation = ChessRules.validateFen(game.startFen, options);
+    if (!validation.valid) {
+        throw new Error(`Invalid starting position: ${validation.error}`);
+    }
+    const { position: finalPosition, plies } = ChessRules.replaySan(game.startFen, game.moves, options);
+
+    const items = plies.map(({ before, move }, index) => ({
+        index,
+        fen: ChessRules.toFen(before),
+        lastMove: index === 0 ? 'start' : plies[index - 1].move.san,
+        position: before,
+        ply: index + 1,
+        moveNumber: before.fullmove,
+        played: describeMove(move)
+    }));
+    if (!ChessRules.outcome(finalPosition)) {
+        items.push({
+            index: plies.length,
+            fen: ChessRules.toFen(finalPosition),
+            lastMove: plies.length ? plies[plies.length - 1].move.san : 'start',
+            position: finalPosition,
+            ply: plies.length + 1,
+            moveNumber: finalPosition.fullmove,
+            played: null
+        });
+    }
+    if (items.length > MAX_BATCH_POSITIONS) {
+        throw new Error(`A batch can have at most ${MAX_BATCH_POSITIONS} positions; this game has ${items.length}`);
+    }
+
+    return {
+        game: {
+            headers: game.headers,
+            result: game.result,
+            chess960: options.chess960
+        },
+        items
+    };
+}
+
+module.exports = {
+    MAX_BATCH_POSITIONS,
+    loadBatch
+};
@@ -0,0 +1,76 @@
+const ChessRules = require('../shared/chess-rules');
+const Openings = require('../shared/openings');
+
+// Read opening book settings from the environment
+function getBookConfig(env = process.env) {
+    return {
+        // Answer known theory from the book instead of asking the provider
+        enabled: env.OPENING_BOOK_ENABLED !== 'false'
+    };
+}
+
+// How the book names the position a move leads to, e.g. "C50 Italian Game"
+function formatOpening(opening) {
+    return opening ? `${opening.eco} ${opening.name}` : null;
+}
+
+// Opening line for the prompt from { eco, name, inBook }, e.g.
+// "C50 Italian Game (the game has left the book)"
+function describeOpening(opening) {
+    if (!opening) return null;
+    return `${formatOpening(opening)} (${opening.inBook ? 'still in book' : 'the game has left the book'})`;
+}
+
+// A suggestion straight from the opening book, or null when the position has no
+// book moves. Book moves are ranked by how many lines continue with them, which
+// also gives the candidates' confidence. Returns { move, explanation, candidates }
+// with candidates null when only one move was asked for.
+function getBookSuggestion(position, { verbosity = 'move', count = 1 } = {}) {
+    const entry = Openings.lookup(position);
+    if (!entry || !entry.moves.length) return null;
+
+    const total = entry.moves.reduce((sum, bookMove) => sum + bookMove.weight, 0);
+    const ranked = entry.moves.map(bookMove => {
+        const move = ChessRules.parseSan(position, bookMove.san);
+        const after = ChessRules.applyMove(position, move);
+        const next = Openings.lookup(after);
+        return {
+            move,
+            after,
+            opening: (next && next.opening) || entry.opening,
+            confidence: Math.round((bookMove.weight / total) * 100)
+        };
+    });
+
+    const best = ranked[0];
+    let explanation = null;
+    if (verbosity !== 'move') {
+        explanation = {
+            reason: best.opening
+                ? `Book move in the ${formatOpening(best.opening)}`
+                : 'Book move'
+        };
+        if (verbosity === 'full') {
+            explanation.plan = null;
+            explanation.threats = [];
+            explanation.line = [best.move.san].concat(Openings.mainLine(best.after, 5));
+        }
+    }
+
+    const candidates = count > 1
+        ? ranked.slice(0, count).map((candidate, index) => ({
+            rank: index + 1,
+            move: candidate.move,
+            confidence: candidate.confidence,
+            idea: formatOpening(candidate.opening)
+        }))
+        : null;
+
+    return { move: best.move, explanation, candidates };
+}
+
+module.exports = {
+    getBookConfig,
+    describeOpening,
+    getBookSuggestion
+};
@@ -0,0 +1,100 @@
+const ChessRules = require('../shared/chess-rules');
+const { createStore } = require('./stores');
+
+// Read cache settings from the environment
+function getCacheConfig(env = process.env) {
+    return {
+        enabled: env.CACHE_ENABLED !== 'false',
+        maxEntries: Number(env.CACHE_MAX_ENTRIES) || 1000,
+        ttlMs: (Number(env.CACHE_TTL_SECONDS) || 7 * 24 * 60 * 60) * 1000,
+        // Persistent layer behind the in-memory LRU: 'none', 'file' or 'sqlite'
+        store: env.CACHE_STORE || 'none',
+        storePath: env.CACHE_STORE_PATH,
+        // Whether a cache hit still costs a quota point
+        chargeHits: env.CACHE_CHARGE_HITS === 'true'
+    };
+}
+
+// Normalized position key; see ChessRules.positionKey
+function getPositionKey(position) {
+    return ChessRules.positionKey(position);
+}
+
+// Small LRU on top of Map's insertion order
+function createLru(maxEntries) {
+    const entries = new Map();
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+        set(key, value, ttlMs) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+            if (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+// Suggestion cache: an in-memory LRU, optionally backed by a persistent store.
+// `variant` separates entries that differ in more than the position (provider,
+// model, verbosity...). Stored entries are { value, expiresAt }, so one loaded
+// back into memory keeps the expiry it was written with.
+function createSuggestionCache(config) {
+    const lru = createLru(config.maxEntries);
+    const store = config.store !== 'none'
+        ? createStore({ type: config.store, filePath: config.storePath, name: 'cache' })
+        : null;
+
+    function fullKey(position, variant) {
+        return `cache:${variant}:${getPositionKey(position)}`;
+    }
+
+    return {
+        storeName: store ? store.name : 'none',
+        async get(position, variant) {
+            if (!config.enabled) return undefined;
+            const key = fullKey(position, variant);
+            const cached = lru.get(key);
+            if (cached) return cached;
+            if (!store) return undefined;
+
+            const stored = await store.get(key);
+            const remainingMs = stored && stored.expiresAt ? stored.expiresAt - Date.now() : 0;
+            if (remainingMs <= 0) return undefined;
+            lru.set(key, stored.value, remainingMs);
+            return stored.value;
+        },
+        async set(position, variant, value) {
+            if (!config.enabled) return;
+            const key = fullKey(position, variant);
+            lru.set(key, value, config.ttlMs);
+            if (store) {
+                await store.set(key, { value, expiresAt: Date.now() + config.ttlMs }, config.ttlMs);
+            }
+        },
+        async close() {
+            if (store) {
+                await store.close();
+            }
+        }
+    };
+}
+
+module.exports = {
+    getCacheConfig,
+    getPositionKey,
+    createSuggestionCache
+};
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+// Command-line client for POST /suggest-batch: reads FEN, EPD and PGN files,
+// asks the server for a suggestion for every position and writes annotated PGN
+// or JSON. Run `node cli.js --help` for the options.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const ChessRules = require('../shared/chess-rules');
+const { MAX_BATCH_POSITIONS } = require('./batch');
+const Pgn = require('../shared/pgn');
+
+const USAGE = `Usage: node cli.js [options] <file...>
+
+Files ending in .pgn are read as PGN (one or more games), others as one FEN
+or EPD record per line. Lines starting with # are skipped.
+
+Options:
+  --server <url>        Server to ask (ADVISOR_URL, default http://localhost:3000)
+  --token <token>       Client token (ADVISOR_TOKEN). Without one, the CLI registers
+                        and keeps its credentials in ~/.chess-advisor.json
+  --format <pgn|json>   Output format (default json for a .json output file, else pgn)
+  --output <file>       Write to a file instead of standard output
+  --verbosity <level>   move, short or full (default short)
+  --source <source>     llm, engine or both (default llm)
+  --candidates <n>      Candidate moves per position, 1-5 (default 1)
+  --variant <variant>   standard or chess960 (default standard)
+  --help                Show this help`;
+
+const CREDENTIALS_PATH = path.join(os.homedir(), '.chess-advisor.json');
+
+// Tokens this close to expiring are renewed before use
+const TOKEN_RENEW_MARGIN_MS = 5 * 60 * 1000;
+
+// Inputs
+
+// Split a PGN file into games: a tag section after movetext starts a new game
+function splitPgnGames(text) {
+    const games = [];
+    let lines = [];
+    let inMovetext = false;
+    for (const line of text.split(/\r?\n/)) {
+        const isTag = /^\s*\[/.test(line);
+        if (isTag && inMovetext) {
+            games.push(lines.join('\n'));
+            lines = [];
+            inMovetext = false;
+        }
+        if (!isTag && line.trim()) {
+            inMovetext = true;
+        }
+        lines.push(line);
+    }
+    if (lines.join('').trim()) {
+        games.push(lines.join('\n'));
+    }
+    return games;
+}
+
+// A FEN, or an EPD record: the first four FEN fields followed by operations
+// such as `bm Nf3; id "test 1";`. The id and the move counters (hmvc, fmvn)
+// are used; other operations are ignored.
+function parsePositionLine(line) {
+    const fields = line.trim().split(/\s+/);
+    if (fields.length === 6 && /^\d+$/.test(fields[4]) && /^\d+$/.test(fields[5])) {
+        return { fen: fields.join(' ') };
+    }
+
+    const operations = {};
+    const operationPattern = /(\w+)\s+("(?:[^"\\]|\\.)*"|[^;]*);/g;
+    let match;
+    while ((match = operationPattern.exec(fields.slice(4).join(' ')))) {
+        operations[match[1]] = match[2].trim().replace(/^"|"$/g, '');
+    }
+    const entry = { fen: `${fields.slice(0, 4).join(' ')} ${operations.hmvc || 0} ${operations.fmvn || 1}` };
+    if (operations.id) entry.id = operations.id;
+    return entry;
+}
+
+// The batches for one file: a request body (without options) and a label for
+// each. Every PGN game is a batch; FEN and EPD files are sent in chunks.
+function readBatches(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (path.extname(file).toLowerCase() === '.pgn') {
+        return splitPgnGames(text).map((pgn, i) => ({ label: `${file}, game ${i + 1}`, body: { pgn } }));
+    }
+
+    const positions = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(parsePositionLine);
+    const batches = [];
+    for (let start = 0; start < positions.length; start += MAX_BATCH_POSITIONS) {
+        const chunk = positions.slice(start, start + MAX_BATCH_POSITIONS);
+        batches.push({ label: `${file}, positions ${start + 1}-${start + chunk.length}`, body: { positions: chunk } });
+    }
+    return batches;
+}
+
+// Server access
+
+function createClient(server, fixedToken) {
+    let credentials = null;
+
+    async function request(urlPath, { body, token } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const response = await fetch(`${server}${urlPath}`, {
+            method: 'POST',
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+        return { status: response.status, ok: response.ok, data };
+    }
+
+    function loadCredentials() {
+        try {
+            const saved = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'));
+            return saved.server === server ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // A usable token: the saved one, refreshed when it is close to expiring,
+    // or a newly registered one
+    async function getToken({ renew = false } = {}) {
+        if (fixedToken) return fixedToken;
+        credentials = credentials || loadCredentials();
+        if (credentials && !renew && Date.parse(credentials.expiresAt) - Date.now() > TOKEN_RENEW_MARGIN_MS) {
+            return credentials.token;
+        }
+
+        let response = credentials ? await request('/auth/refresh', { token: credentials.token }) : null;
+        if (!response || !response.ok) {
+            response = await request('/auth/register');
+        }
+        if (!response.ok) {
+            throw new Error(`Could not get a client token: ${response.data.error || `status ${response.status}`}`);
+        }
+        credentials = Object.assign({ server }, response.data);
+        fs.writeFileSync(CREDENTIALS_PATH, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+        return credentials.token;
+    }
+
+    // POST /suggest-batch, renewing the token once if the server refuses it
+    async function suggestBatch(body) {
+        let response = await request('/suggest-batch', { body, token: await getToken() });
+        if (response.status === 401 && !fixedToken) {
+            response = await request('/suggest-batch', { body, token: await getToken({ renew: true }) });
+        }
+        if (!response.ok) {
+            const { error, details, retryAfter } = response.data;
+            const message = [error || `Status ${response.status}`, details].filter(Boolean).join(': ');
+            throw Object.assign(new Error(message), { status: response.status, retryAfter });
+        }
+        return response.data;
+    }
+
+    return { suggestBatch };
+}
+
+// Output
+
+// One-line summary of a batch entry for a PGN comment
+function describeResult(result) {
+    if (result.status !== 200) {
+        return `No suggestion: ${result.error}${result.details ? ` (${result.details})` : ''}`;
+    }
+    const parts = [];
+    if (result.book) parts.push('book move');
+    const score = result.evaluation && (result.evaluation.suggestionScore || result.evaluation.score);
+    if (score) parts.push(Pgn.formatScore(score));
+    if (result.explanation && result.explanation.reason) parts.push(result.explanation.reason);
+    if (result.candidates && result.candidates.length > 1) {
+        parts.push(`candidates ${result.candidates.map(candidate => candidate.move.san).join(', ')}`);
+    }
+    return parts.join(', ');
+}
+
+// A PGN game annotated like the extension's history export: a comment on every
+// move, and a variation where the suggestion differs from the move played
+function gameToPgn(response) {
+    const { game, results } = response;
+    const headers = Object.entries(game.headers).filter(([name]) => name !== 'Annotator');
+    headers.push(['Annotator', 'Chess GPT Advisor']);
+    const chess960 = { chess960: game.chess960 };
+
+    const moves = results.map(result => {
+        const suggestion = result.status === 200 ? result.suggestion : null;
+        return {
+            position: ChessRules.parseFen(result.fen, chess960),
+            played: result.played,
+            suggestion,
+            summary: describeResult(result),
+            line: suggestion && Pgn.suggestedLine(suggestion, result.explanation)
+        };
+    });
+    return Pgn.formatAnnotatedGame(headers, moves, game.result);
+}
+
+// Every position of a FEN or EPD batch as a game of its own: the suggested
+// move (and its line) from the position
+function positionsToPgn(response, file, variant) {
+    return response.results.map(result => {
+        const headers = [
+            ['Event', result.id || 'Chess GPT Advisor analysis'],
+            ['Site', path.basename(file)],
+            ['Result', '*'],
+            ['Annotator', 'Chess GPT Advisor']
+        ];
+        const validation = ChessRules.validateFen(result.fen, { chess960: variant === 'chess960' });
+        if (validation.valid) {
+            if (validation.position.chess960) {
+                headers.push(['Variant', 'Chess960']);
+            }
+            headers.push(['SetUp', '1'], ['FEN', result.fen]);
+        }
+
+        const summary = describeResult(result);
+        let movetext = Pgn.comment(summary);
+        if (result.status === 200) {
+            const line = Pgn.suggestedLine(result.suggestion, result.explanation);
+            movetext = `${Pgn.formatVariation(validation.position, line)}${summary ? ` ${movetext}` : ''}`;
+        }
+        return `${Pgn.formatHeaders(headers)}\n\n${movetext} *\n`;
+    }).join('\n');
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                server: { type: 'string', default: process.env.ADVISOR_URL || 'http://localhost:3000' },
+                token: { type: 'string', default: process.env.ADVISOR_TOKEN },
+                format: { type: 'string' },
+                output: { type: 'string' },
+                verbosity: { type: 'string', default: 'short' },
+                source: { type: 'string', default: 'llm' },
+                candidates: { type: 'string', default: '1' },
+                variant: { type: 'string', default: 'standard' },
+                help: { type: 'boolean', default: false }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const { values: options, positionals: files } = args;
+    if (options.help || files.length === 0) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+    const format = options.format || (options.output && options.output.endsWith('.json') ? 'json' : 'pgn');
+    if (!['pgn', 'json'].includes(format)) {
+        console.error(`--format must be pgn or json\n\n${USAGE}`);
+        return 2;
+    }
+
+    const client = createClient(options.server.replace(/\/+$/, ''), options.token);
+    const requestOptions = {
+        verbosity: options.verbosity,
+        source: options.source,
+        candidates: Number(options.candidates),
+        variant: options.variant
+    };
+
+    const documents = [];
+    const pgnParts = [];
+    let failed = false;
+    let quotaUsedUp = false;
+    for (const file of files) {
+        if (quotaUsedUp) break;
+        let batches;
+        try {
+            batches = readBatches(file);
+        } catch (error) {
+            console.error(`${file}: ${error.message}`);
+            failed = true;
+            continue;
+        }
+
+        for (const batch of batches) {
+            console.error(`Analysing ${batch.label}...`);
+            let response;
+            try {
+                response = await client.suggestBatch(Object.assign({}, batch.body, requestOptions));
+            } catch (error) {
+                console.error(`${batch.label}: ${error.message}`);
+                failed = true;
+                // Nothing more will be accepted until the quota resets
+                if (error.status === 429) {
+                    console.error(`Quota used up${error.retryAfter ? `; it resets in ${Math.ceil(error.retryAfter / 60)} minutes` : ''}.`);
+                    quotaUsedUp = true;
+                    break;
+                }
+                continue;
+            }
+
+            const errors = response.results.filter(result => result.status !== 200).length;
+            console.error(`  ${response.results.length} positions, ${errors} without a suggestion, ${response.remainingRequests} requests left`);
+            failed = failed || errors > 0;
+            documents.push(Object.assign({ file, label: batch.label }, response));
+            pgnParts.push(response.game ? gameToPgn(response) : positionsToPgn(response, file, options.variant));
+        }
+    }
+
+    const output = format === 'json' ? `${JSON.stringify(documents, null, 2)}\n` : pgnParts.join('\n');
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+    return failed ? 1 : 0;
+}
+
+main().then(
+    code => {
+        process.exitCode = code;
+    },
+    error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+);
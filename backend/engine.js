@@ -0,0 +1,272 @@
+const { spawn } = require('child_process');
+const readline = require('readline');
+const ChessRules = require('../shared/chess-rules');
+
+// Read engine settings from the environment. The engine is optional: without
+// ENGINE_PATH only LLM suggestions are available.
+function getEngineConfig(env = process.env) {
+    return {
+        enabled: Boolean(env.ENGINE_PATH),
+        // A UCI binary (e.g. /usr/games/stockfish) or a .js build such as the
+        // WASM Stockfish from the `stockfish` npm package, which is run with node
+        path: env.ENGINE_PATH,
+        depth: Number(env.ENGINE_DEPTH) || 16,
+        moveTimeMs: Number(env.ENGINE_MOVETIME_MS) || 1000,
+        multiPv: Number(env.ENGINE_MULTIPV) || 3,
+        threads: Number(env.ENGINE_THREADS) || 1,
+        hashMb: Number(env.ENGINE_HASH_MB) || 16
+    };
+}
+
+// How long past the move time a search may run before it is stopped
+const SEARCH_GRACE_MS = 5000;
+const STARTUP_TIMEOUT_MS = 30000;
+
+// Parse a UCI "info" line that carries a scored principal variation
+function parseInfo(line) {
+    if (!line.startsWith('info ') || !line.includes(' pv ') || !line.includes(' score ')) {
+        return null;
+    }
+    const tokens = line.split(' ');
+    const info = { multipv: 1, depth: 0, score: null, pv: [] };
+    for (let i = 1; i < tokens.length; i++) {
+        switch (tokens[i]) {
+            case 'depth':
+                info.depth = Number(tokens[++i]);
+                break;
+            case 'multipv':
+                info.multipv = Number(tokens[++i]);
+                break;
+            case 'score': {
+                const type = tokens[++i];
+                const value = Number(tokens[++i]);
+                // Bounds are from an aborted iteration and not reliable
+                if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') {
+                    return null;
+                }
+                info.score = type === 'mate' ? { mate: value } : { cp: value };
+                break;
+            }
+            case 'pv':
+                info.pv = tokens.slice(i + 1);
+                i = tokens.length;
+                break;
+        }
+    }
+    return info.score ? info : null;
+}
+
+// UCI scores are from the side to move; the API reports them from White's side
+function whiteScore(score, turn) {
+    if (turn === 'w') return score;
+    return score.mate !== undefined ? { mate: -score.mate } : { cp: -score.cp };
+}
+
+function abortError() {
+    const error = new Error('Engine search aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+// Local UCI engine run as a child process. Searches are queued, since a UCI
+// engine works on one position at a time.
+// analyse(fen, { multiPv, searchMoves, signal, chess960 }) resolves to
+// { bestMove, depth, lines: [{ rank, depth, score, pv }] } with UCI moves and
+// scores from White's side. Chess960 positions are searched in the engine's
+// Chess960 mode, where castling is written king-takes-rook.
+function createEngine(config) {
+    const command = config.path.endsWith('.js') ? process.execPath : config.path;
+    const args = config.path.endsWith('.js') ? [config.path] : [];
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'ignore'] });
+
+    let onLine = null;
+    let exitError = null;
+    const engine = { name: 'uci', analyse, close };
+
+    readline.createInterface({ input: child.stdout }).on('line', line => {
+        if (onLine) onLine(line.trim());
+    });
+    child.on('error', error => {
+        exitError = error;
+        if (onLine) onLine(null);
+    });
+    child.on('exit', code => {
+        exitError = exitError || new Error(`Engine exited with code ${code}`);
+        if (onLine) onLine(null);
+    });
+
+    function send(command) {
+        if (!exitError) {
+            child.stdin.write(`${command}\n`);
+        }
+    }
+
+    // Resolve with the first line matching `predicate`; every line is passed to
+    // `onInfo` first. Rejects if the engine dies or `timeoutMs` passes.
+    function waitFor(predicate, { timeoutMs, onInfo } = {}) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                onLine = null;
+                reject(new Error('Engine did not answer in time'));
+            }, timeoutMs);
+            onLine = line => {
+                if (line === null) {
+                    clearTimeout(timer);
+                    onLine = null;
+                    reject(exitError);
+                    return;
+                }
+                if (onInfo) onInfo(line);
+                if (predicate(line)) {
+                    clearTimeout(timer);
+                    onLine = null;
+                    resolve(line);
+                }
+            };
+        });
+    }
+
+    // Only options the engine advertises, and only when they differ from the
+    // current value: some builds hang on options they can't honour (e.g.
+    // Threads in single-threaded WASM builds, even when set to 1)
+    const options = new Map();
+    function setOption(name, value) {
+        if (options.has(name) && options.get(name) !== String(value)) {
+            options.set(name, String(value));
+            send(`setoption name ${name} value ${value}`);
+        }
+    }
+
+    let multiPv = config.multiPv;
+    engine.ready = (async () => {
+        const uciOk = waitFor(line => line === 'uciok', {
+            timeoutMs: STARTUP_TIMEOUT_MS,
+            onInfo: line => {
+                if (line.startsWith('id name ')) engine.name = line.slice(8);
+                const option = line.match(/^option name (.+?) type \S+(?: default (\S*))?/);
+                if (option) options.set(option[1], option[2]);
+            }
+        });
+        // Some builds (e.g. WASM) drop input that arrives while they load, so
+        // ask again until they answer
+        send('uci');
+        const retry = setInterval(() => send('uci'), 500);
+        try {
+            await uciOk;
+        } finally {
+            clearInterval(retry);
+        }
+        setOption('Threads', config.threads);
+        setOption('Hash', config.hashMb);
+        setOption('MultiPV', multiPv);
+        const readyOk = waitFor(line => line === 'readyok', { timeoutMs: STARTUP_TIMEOUT_MS });
+        send('isready');
+        await readyOk;
+    })();
+
+    async function search(fen, { multiPv: wantedMultiPv = config.multiPv, searchMoves, signal, chess960 = false } = {}) {
+        await engine.ready;
+        if (exitError) throw exitError;
+        if (signal && signal.aborted) throw abortError();
+
+        if (wantedMultiPv !== multiPv) {
+            multiPv = wantedMultiPv;
+            setOption('MultiPV', multiPv);
+        }
+        setOption('UCI_Chess960', chess960);
+
+        const lines = new Map();
+        let stopped = false;
+        const stop = () => {
+            if (!stopped) {
+                stopped = true;
+                send('stop');
+            }
+        };
+        if (signal) signal.addEventListener('abort', stop);
+
+        // The engine always answers "stop" with a bestmove, which keeps the
+        // queue in step. One that doesn't is killed rather than left out of step.
+        const stopTimer = setTimeout(stop, config.moveTimeMs + SEARCH_GRACE_MS);
+        const bestMoveLine = waitFor(line => line.startsWith('bestmove'), {
+            timeoutMs: config.moveTimeMs + 2 * SEARCH_GRACE_MS,
+            onInfo: line => {
+                const info = parseInfo(line);
+                if (info) lines.set(info.multipv, info);
+            }
+        });
+        send(`position fen ${fen}`);
+        send(`go depth ${config.depth} movetime ${config.moveTimeMs}${searchMoves ? ` searchmoves ${searchMoves.join(' ')}` : ''}`);
+
+        try {
+            let line;
+            try {
+                line = await bestMoveLine;
+            } catch (error) {
+                exitError = exitError || new Error('Engine stopped responding');
+                child.kill();
+                throw error;
+            }
+            if (signal && signal.aborted) throw abortError();
+
+            const turn = fen.split(' ')[1];
+            const ranked = Array.from(lines.values())
+                .sort((a, b) => a.multipv - b.multipv)
+                .map(info => ({
+                    rank: info.multipv,
+                    depth: info.depth,
+                    score: whiteScore(info.score, turn),
+                    pv: info.pv
+                }));
+            const bestMove = line.split(' ')[1];
+            return {
+                bestMove: bestMove && bestMove !== '(none)' ? bestMove : null,
+                depth: ranked.length ? ranked[0].depth : 0,
+                lines: ranked
+            };
+        } finally {
+            clearTimeout(stopTimer);
+            if (signal) signal.removeEventListener('abort', stop);
+        }
+    }
+
+    let queue = Promise.resolve();
+    function analyse(fen, options) {
+        const result = queue.then(() => search(fen, options));
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    function close() {
+        send('quit');
+        setTimeout(() => child.kill(), 1000).unref();
+    }
+
+    return engine;
+}
+
+// A move in the notation the engine expects: king-takes-rook castling in Chess960 mode
+function toEngineMove(move, chess960) {
+    return chess960 && move.castle ? move.from + move.rookFrom : move.uci;
+}
+
+// Convert a UCI principal variation to SAN, stopping at the first move that
+// isn't legal (engines may report a PV from a stale hash entry)
+function sanLine(position, pv) {
+    const sans = [];
+    let current = position;
+    for (const uci of pv) {
+        const move = ChessRules.parseUci(current, uci);
+        if (!move) break;
+        sans.push(move.san);
+        current = ChessRules.applyMove(current, move);
+    }
+    return sans;
+}
+
+module.exports = {
+    getEngineConfig,
+    createEngine,
+    sanLine,
+    toEngineMove
+};
@@ -0,0 +1,52 @@
+// Structured logging: one JSON object per line, with a level switch.
+// debug carries the verbose detail (prompts, positions, raw model answers).
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Read logging settings from the environment
+function getLogConfig(env = process.env) {
+    return {
+        level: (env.LOG_LEVEL || 'info').toLowerCase()
+    };
+}
+
+// Errors don't serialize to JSON on their own
+function serializeFields(fields) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+        serialized[key] = value instanceof Error
+            ? { name: value.name, message: value.message, stack: value.stack }
+            : value;
+    }
+    return serialized;
+}
+
+// Logger with debug/info/warn/error(message, fields). `bindings` are added to
+// every line; child(bindings) adds more, e.g. the request ID.
+function createLogger(config = getLogConfig(), bindings = {}) {
+    const threshold = LOG_LEVELS.indexOf(config.level);
+    if (threshold === -1) {
+        throw new Error(`LOG_LEVEL must be one of: ${LOG_LEVELS.join(', ')}`);
+    }
+
+    function write(level, message, fields) {
+        if (LOG_LEVELS.indexOf(level) < threshold) return;
+        const entry = Object.assign({ time: new Date().toISOString(), level, msg: message }, bindings, serializeFields(fields));
+        const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+        stream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    return {
+        level: config.level,
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields),
+        child: extra => createLogger(config, Object.assign({}, bindings, extra))
+    };
+}
+
+module.exports = {
+    LOG_LEVELS,
+    getLogConfig,
+    createLogger
+};
@@ -0,0 +1,148 @@
+// In-memory usage metrics: request counts and latency per route, and model
+// calls, tokens and estimated cost per provider, model and tier. Reset on restart.
+
+// Upper bounds of the latency histogram buckets, in milliseconds
+const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+// List prices in USD per 1,000 tokens as [input, output], matched on the model
+// name prefix (longest first). Models not listed (local servers, the mock) cost nothing.
+const MODEL_PRICES = {
+    'gpt-4o-mini': [0.00015, 0.0006],
+    'gpt-4o': [0.0025, 0.01],
+    'gpt-4-turbo': [0.01, 0.03],
+    'gpt-4': [0.03, 0.06],
+    'gpt-3.5-turbo': [0.0005, 0.0015]
+};
+
+// Per-user totals are kept for this many users; later ones are counted together
+const MAX_TRACKED_USERS = 1000;
+const OTHER_USERS = '(other)';
+
+// Read metrics settings from the environment
+function getMetricsConfig(env = process.env) {
+    return {
+        // Bearer token for GET /metrics; without one the endpoint is only
+        // served outside production
+        token: env.METRICS_TOKEN,
+        // Override the price list, e.g. for a negotiated rate or a paid local host
+        inputPricePer1k: env.LLM_PRICE_INPUT_PER_1K !== undefined ? Number(env.LLM_PRICE_INPUT_PER_1K) : null,
+        outputPricePer1k: env.LLM_PRICE_OUTPUT_PER_1K !== undefined ? Number(env.LLM_PRICE_OUTPUT_PER_1K) : null
+    };
+}
+
+function getModelPrices(config, model) {
+    const prefix = Object.keys(MODEL_PRICES)
+        .sort((a, b) => b.length - a.length)
+        .find(name => model.startsWith(name));
+    const [input, output] = prefix ? MODEL_PRICES[prefix] : [0, 0];
+    return {
+        input: config.inputPricePer1k !== null ? config.inputPricePer1k : input,
+        output: config.outputPricePer1k !== null ? config.outputPricePer1k : output
+    };
+}
+
+function createMetrics(config = getMetricsConfig()) {
+    const startedAt = Date.now();
+    const requests = new Map();
+    const latency = new Map();
+    const usage = new Map();
+    const users = new Map();
+
+    function emptyUsage() {
+        return { calls: 0, promptTokens: 0, completionTokens: 0, estimatedCostUsd: 0 };
+    }
+
+    function addUsage(totals, calls, promptTokens, completionTokens, cost) {
+        totals.calls += calls;
+        totals.promptTokens += promptTokens;
+        totals.completionTokens += completionTokens;
+        totals.estimatedCostUsd += cost;
+    }
+
+    // A finished HTTP request
+    function recordRequest({ method, route, status, durationMs }) {
+        const key = `${method} ${route}`;
+        const counts = requests.get(key) || {};
+        counts[status] = (counts[status] || 0) + 1;
+        requests.set(key, counts);
+
+        const histogram = latency.get(key) || { count: 0, sumMs: 0, buckets: LATENCY_BUCKETS_MS.map(() => 0), overflow: 0 };
+        histogram.count++;
+        histogram.sumMs += durationMs;
+        const bucket = LATENCY_BUCKETS_MS.findIndex(bound => durationMs <= bound);
+        if (bucket === -1) {
+            histogram.overflow++;
+        } else {
+            histogram.buckets[bucket]++;
+        }
+        latency.set(key, histogram);
+    }
+
+    // One provider call. `tokens` is the provider's usage report, which may be
+    // missing (e.g. from servers that don't report usage when streaming).
+    function recordCompletion({ provider, model, tier, userId, tokens }) {
+        const promptTokens = (tokens && tokens.prompt_tokens) || 0;
+        const completionTokens = (tokens && tokens.completion_tokens) || 0;
+        const prices = getModelPrices(config, model);
+        const cost = (promptTokens * prices.input + completionTokens * prices.output) / 1000;
+
+        const key = `${provider}|${model}|${tier}`;
+        const totals = usage.get(key) || Object.assign({ provider, model, tier }, emptyUsage());
+        addUsage(totals, 1, promptTokens, completionTokens, cost);
+        usage.set(key, totals);
+
+        const user = users.has(userId) || users.size < MAX_TRACKED_USERS ? userId : OTHER_USERS;
+        const userTotals = users.get(user) || Object.assign({ userId: user, tier }, emptyUsage());
+        addUsage(userTotals, 1, promptTokens, completionTokens, cost);
+        users.set(user, userTotals);
+    }
+
+    // Everything as JSON: the histogram buckets are cumulative, as in Prometheus
+    function snapshot({ topUsers = 10 } = {}) {
+        const routes = {};
+        for (const [key, counts] of requests) {
+            const histogram = latency.get(key);
+            let cumulative = 0;
+            const buckets = {};
+            LATENCY_BUCKETS_MS.forEach((bound, i) => {
+                cumulative += histogram.buckets[i];
+                buckets[`le${bound}`] = cumulative;
+            });
+            buckets.leInf = cumulative + histogram.overflow;
+            routes[key] = {
+                count: histogram.count,
+                byStatus: counts,
+                latencyMs: {
+                    mean: Math.round(histogram.sumMs / histogram.count),
+                    buckets
+                }
+            };
+        }
+
+        const round = totals => Object.assign({}, totals, {
+            estimatedCostUsd: Number(totals.estimatedCostUsd.toFixed(6))
+        });
+        return {
+            startedAt: new Date(startedAt).toISOString(),
+            uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+            requests: routes,
+            usage: Array.from(usage.values()).map(round),
+            topUsers: Array.from(users.values())
+                .sort((a, b) => b.estimatedCostUsd - a.estimatedCostUsd || b.calls - a.calls)
+                .slice(0, topUsers)
+                .map(round)
+        };
+    }
+
+    return {
+        recordRequest,
+        recordCompletion,
+        snapshot
+    };
+}
+
+module.exports = {
+    LATENCY_BUCKETS_MS,
+    getMetricsConfig,
+    createMetrics
+};
@@ -0,0 +1,125 @@
+const ChessRules = require('../shared/chess-rules');
+
+const PIECE_WORDS = {
+    pawn: 'P',
+    knight: 'N',
+    bishop: 'B',
+    rook: 'R',
+    queen: 'Q',
+    king: 'K'
+};
+
+// The last move a client sends goes into the prompt as it is, so it may be no
+// longer than a move in SAN with some room to spare ("exd8=Q+", "start")
+const MAX_MOVE_LENGTH = 20;
+
+// Legacy answer format from the old prompt, e.g. "White Knight --> f3"
+const ARROW_FORMAT = /(pawn|knight|bishop|rook|queen|king)\s*-*>\s*([a-h][1-8])/i;
+
+// Try to find a legal move in a free-text model answer.
+// Returns { move } on a unique match, or { move: null, reason } when nothing fits.
+function matchSuggestion(position, text, legal) {
+    if (!text) {
+        return { move: null, reason: 'The answer was empty' };
+    }
+
+    const answer = text.trim().replace(/^["'`]+|["'`.]+$/g, '');
+
+    const direct = ChessRules.parseSan(position, answer, legal) || ChessRules.parseUci(position, answer, legal);
+    if (direct) return { move: direct };
+
+    // Checked before the token scan so the destination square isn't read as a pawn move
+    const arrow = answer.match(ARROW_FORMAT);
+    if (arrow) {
+        const piece = PIECE_WORDS[arrow[1].toLowerCase()];
+        const candidates = legal.filter(move => move.piece === piece && move.to === arrow[2]);
+        if (candidates.length === 1) return { move: candidates[0] };
+        if (candidates.length > 1) {
+            return { move: null, reason: `More than one ${arrow[1].toLowerCase()} can reach ${arrow[2]}` };
+        }
+        return { move: null, reason: `No ${arrow[1].toLowerCase()} can legally move to ${arrow[2]}` };
+    }
+
+    // Models like to wrap the move in prose or prefix it with a move number ("12... Nf3")
+    const tokens = answer
+        .split(/[\s,;:()]+/)
+        .map(token => token.replace(/^\d+\.+/, '').replace(/^["'`]+|["'`.]+$/g, ''))
+        .filter(Boolean);
+    const found = new Map();
+    for (const token of tokens) {
+        const move = ChessRules.parseSan(position, token, legal) || ChessRules.parseUci(position, token, legal);
+        if (move) found.set(move.uci, move);
+    }
+    if (found.size === 1) {
+        return { move: found.values().next().value };
+    }
+    if (found.size > 1) {
+        return { move: null, reason: 'The answer mentioned more than one legal move' };
+    }
+
+    return { move: null, reason: `"${answer}" is not a legal move in this position` };
+}
+
+// Machine-readable form of a legal move, as returned by the API
+function describeMove(move, raw) {
+    const description = {
+        san: move.san,
+        uci: move.uci,
+        from: move.from,
+        to: move.to,
+        piece: ChessRules.PIECE_NAMES[move.piece].toLowerCase(),
+        promotion: move.promotion ? ChessRules.PIECE_NAMES[move.promotion].toLowerCase() : null,
+        sideToMove: move.color === 'w' ? 'white' : 'black'
+    };
+    if (move.captured) {
+        description.captured = ChessRules.PIECE_NAMES[move.captured].toLowerCase();
+    }
+    // The rook's squares make Chess960 castling unambiguous, where the king may
+    // stay put or land on its rook's square
+    if (move.castle) {
+        description.castle = move.castle === 'k' ? 'kingside' : 'queenside';
+        description.rookFrom = move.rookFrom;
+        description.rookTo = move.rookTo;
+    }
+    if (raw !== undefined) {
+        description.raw = raw;
+    }
+    return description;
+}
+
+// Keep the legal prefix of a suggested line (SAN moves starting with `move`),
+// so a hallucinated continuation is cut off rather than shown
+function validateLine(position, move, line) {
+    if (!Array.isArray(line)) return [move.san];
+
+    const sans = line.map(String);
+    const first = sans.length ? ChessRules.parseSan(position, sans[0]) : null;
+    if (!first || first.uci !== move.uci) {
+        sans.unshift(move.san);
+    }
+
+    const valid = [];
+    let current = position;
+    for (const san of sans) {
+        const next = ChessRules.parseSan(current, san);
+        if (!next) break;
+        valid.push(next.san);
+        current = ChessRules.applyMove(current, next);
+    }
+    return valid;
+}
+
+// Check a client-sent last move; returns an error message, or null when it is usable
+function checkMoveText(name, text) {
+    if (typeof text !== 'string' || !text || text.length > MAX_MOVE_LENGTH) {
+        return `${name} must be a move of at most ${MAX_MOVE_LENGTH} characters`;
+    }
+    return null;
+}
+
+module.exports = {
+    checkMoveText,
+    matchSuggestion,
+    describeMove,
+    validateLine
+};
@@ -0,0 +1,119 @@
+// Prompt templates. The model always picks from the legal moves we list, and its
+// answer is checked against that list before it reaches the client.
+
+const REVIEW_CLASSIFICATIONS = ['best', 'good', 'inaccuracy', 'mistake', 'blunder'];
+
+// Explanation levels for /suggest-move
+const VERBOSITY_LEVELS = ['move', 'short', 'full'];
+
+// Answer formats per verbosity level; 'move' is a bare SAN move
+const VERBOSITY_FORMATS = {
+    short: `{"move": "<SAN>", "reason": "<one sentence on why this move is best>"}`,
+    full: `{"move": "<SAN>", "reason": "<one sentence on why this move is best>", "plan": "<the plan this move starts, 1-2 sentences>", "threats": ["<each opponent threat the move deals with>"], "line": ["<the move itself>", "<expected reply>", "<up to 6 moves of the main line in SAN>"]}`
+};
+
+// Most candidate moves a single request may ask for
+const MAX_CANDIDATES = 5;
+
+// Told to the model for Chess960 games, whose FEN and castling rules it might
+// otherwise read as standard chess
+const CHESS960_NOTE = 'Variant: Chess960 (Fischer Random Chess). The pieces started on a shuffled back rank and the FEN castling field may name the castling rooks by file. O-O and O-O-O still end with the king on g1/g8 and the rook on f1/f8, or the king on c1/c8 and the rook on d1/d8. Only castle with O-O or O-O-O when it is in the list of legal moves.';
+
+function formatLegalMoves(legal) {
+    return legal.map(move => move.san).join(', ');
+}
+
+// Position details shared by the suggestion messages; the opening line is only
+// there when the opening is known
+function formatPosition(fen, currentMove, legal, opening, chess960) {
+    return [
+        `Current position (FEN): ${fen}`,
+        chess960 ? CHESS960_NOTE : null,
+        `Last move played: ${currentMove}`,
+        opening ? `Opening: ${opening}` : null,
+        `Legal moves: ${formatLegalMoves(legal)}`
+    ].filter(Boolean).join('\n');
+}
+
+// Chess-specific prompt template for a single move suggestion
+function getPrompt(playerColor, verbosity = 'move') {
+    if (VERBOSITY_FORMATS[verbosity]) {
+        return `You are an expert chess advisor and coach. Your role is to:
+1. Analyze the current position thoroughly
+2. Suggest the best move for the ${playerColor || 'side to move'}, chosen from the list of legal moves you are given
+3. Explain it to a student so they can learn from it
+Answer with a single JSON object and nothing else, in this format:
+${VERBOSITY_FORMATS[verbosity]}
+All moves must be in Standard Algebraic Notation (SAN), e.g. 'Nf3', 'exd5', 'O-O' or 'e8=Q'.`;
+    }
+
+    return `You are an expert chess advisor. Your role is to:
+1. Analyze the current position thoroughly
+2. Suggest ONLY the best move for the ${playerColor || 'side to move'}
+3. Answer with exactly one move in Standard Algebraic Notation (SAN), chosen from the list of legal moves you are given.
+   For example: 'Nf3', 'exd5', 'O-O' or 'e8=Q'.
+   Do NOT provide any explanation or analysis. Just output the move.`;
+}
+
+function getPositionMessage(fen, currentMove, playerColor, legal, verbosity = 'move', opening = null, chess960 = false) {
+    const request = verbosity === 'move'
+        ? `Suggest only the best move for ${playerColor || 'the side to move'} in SAN. No explanation.`
+        : `Suggest and explain the best move for ${playerColor || 'the side to move'} as JSON.`;
+    return `${formatPosition(fen, currentMove, legal, opening, chess960)}
+
+${request}`;
+}
+
+// Prompt template for a ranked list of candidate moves, for study
+function getCandidatesPrompt(playerColor, count) {
+    return `You are an expert chess coach. Your role is to:
+1. Analyze the current position thoroughly
+2. List the ${count} best moves for the ${playerColor || 'side to move'}, best first, each chosen from the list of legal moves you are given
+3. Give each move your confidence that it is the best move (0-100) and its idea in one short line
+Answer with a single JSON object and nothing else, in this format:
+{"candidates": [{"move": "<SAN>", "confidence": <0-100>, "idea": "<the idea behind the move, under 15 words>"}]}
+All moves must be in Standard Algebraic Notation (SAN), e.g. 'Nf3', 'exd5', 'O-O' or 'e8=Q'. List each move once.`;
+}
+
+function getCandidatesMessage(fen, currentMove, playerColor, legal, count, opening = null, chess960 = false) {
+    return `${formatPosition(fen, currentMove, legal, opening, chess960)}
+
+List the ${count} best moves for ${playerColor || 'the side to move'} as JSON, best first.`;
+}
+
+// Prompt template for annotating one move of a finished game
+function getReviewPrompt() {
+    return `You are an expert chess coach reviewing a finished game move by move.
+For the position and the move that was played, answer with a single JSON object and nothing else:
+{"best": "<best move in SAN, chosen from the legal moves>", "classification": "<${REVIEW_CLASSIFICATIONS.join('|')}>", "comment": "<one short sentence>"}
+Use "best" when the played move is the best move. Keep the comment under 20 words.`;
+}
+
+function getReviewMessage(fen, playedSan, moveLabel, legal, chess960 = false) {
+    return `Position before the move (FEN): ${fen}
+${chess960 ? `${CHESS960_NOTE}\n` : ''}Move played: ${moveLabel} ${playedSan}
+Legal moves: ${formatLegalMoves(legal)}`;
+}
+
+// Sent after an answer without a legal move. Explained levels repeat their
+// JSON format, so the retried answer still carries the explanation.
+function getCorrectionMessage(reason, legal, verbosity = 'move') {
+    if (VERBOSITY_FORMATS[verbosity]) {
+        return `${reason}. Answer again with a single JSON object in this format, with a move from this list: ${formatLegalMoves(legal)}
+${VERBOSITY_FORMATS[verbosity]}`;
+    }
+    return `${reason}. Reply with exactly one move from this list: ${formatLegalMoves(legal)}`;
+}
+
+module.exports = {
+    REVIEW_CLASSIFICATIONS,
+    VERBOSITY_LEVELS,
+    MAX_CANDIDATES,
+    getPrompt,
+    getPositionMessage,
+    getCandidatesPrompt,
+    getCandidatesMessage,
+    getReviewPrompt,
+    getReviewMessage,
+    getCorrectionMessage
+};
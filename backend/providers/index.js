@@ -0,0 +1,62 @@
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { withResilience } = require('./resilient');
+const { createLogger } = require('../logger');
+
+// Read provider settings from the environment
+function getProviderConfig(env = process.env) {
+    return {
+        provider: (env.ANALYSIS_PROVIDER || 'openai').toLowerCase(),
+        apiKey: env.OPENAI_API_KEY,
+        baseURL: env.OPENAI_BASE_URL,
+        model: env.LLM_MODEL || 'gpt-3.5-turbo',
+        maxTokens: Number(env.LLM_MAX_TOKENS) || 20,
+        temperature: env.LLM_TEMPERATURE !== undefined ? Number(env.LLM_TEMPERATURE) : 0.2,
+        responsesFile: env.MOCK_RESPONSES_FILE,
+        // Timeout per attempt, retries of transient failures and the circuit
+        // breaker (see resilient.js)
+        timeoutMs: Number(env.LLM_TIMEOUT_MS) || 30000,
+        maxRetries: env.LLM_MAX_RETRIES !== undefined ? Number(env.LLM_MAX_RETRIES) : 2,
+        retryBaseMs: Number(env.LLM_RETRY_BASE_MS) || 500,
+        retryMaxMs: Number(env.LLM_RETRY_MAX_MS) || 8000,
+        circuitThreshold: Number(env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+        circuitResetMs: Number(env.CIRCUIT_RESET_MS) || 30000
+    };
+}
+
+// Every provider exposes { name, model, complete(messages, options) } where
+// complete() resolves to { text, usage }. Options: maxTokens, temperature,
+// fen (the position being analysed), signal (an AbortSignal), log (a logger
+// for the request) and onDelta(delta, textSoFar), which switches to streaming
+// when the provider supports it. The provider returned is wrapped with
+// timeouts, retries and a circuit breaker (see resilient.js).
+function createProvider(config = getProviderConfig(), { logger = createLogger() } = {}) {
+    if (!Number.isInteger(config.maxRetries) || config.maxRetries < 0) {
+        throw new Error('LLM_MAX_RETRIES must be a whole number');
+    }
+    return withResilience(createBaseProvider(config), config, logger);
+}
+
+function createBaseProvider(config) {
+    switch (config.provider) {
+        case 'openai':
+            if (!config.apiKey) {
+                throw new Error('OPENAI_API_KEY is required for the openai provider');
+            }
+            return createOpenAIProvider(config);
+        case 'openai-compatible':
+            if (!config.baseURL) {
+                throw new Error('OPENAI_BASE_URL is required for the openai-compatible provider');
+            }
+            return createOpenAIProvider(Object.assign({}, config, { name: 'openai-compatible' }));
+        case 'mock':
+            return createMockProvider(config);
+        default:
+            throw new Error(`Unknown analysis provider: ${config.provider}`);
+    }
+}
+
+module.exports = {
+    getProviderConfig,
+    createProvider
+};
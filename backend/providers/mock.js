@@ -0,0 +1,63 @@
+const fs = require('fs');
+const ChessRules = require('../../shared/chess-rules');
+
+const STREAM_CHUNK_SIZE = 8;
+
+// Scripted answers are keyed on the first four FEN fields so move clocks don't matter
+function positionKey(fen) {
+    return fen.trim().split(/\s+/).slice(0, 4).join(' ');
+}
+
+function loadScript(file) {
+    if (!file) return {};
+    const script = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const byPosition = {};
+    for (const [fen, answers] of Object.entries(script)) {
+        byPosition[positionKey(fen)] = Array.isArray(answers) ? answers : [answers];
+    }
+    return byPosition;
+}
+
+// Deterministic offline provider. A scripted position answers with its entries in
+// turn (so re-prompting can be exercised); any other position gets its first legal
+// move in alphabetical SAN order.
+function createMockProvider({ responsesFile } = {}) {
+    const script = loadScript(responsesFile);
+    const calls = new Map();
+
+    return {
+        name: 'mock',
+        model: 'mock',
+        async complete(messages, options = {}) {
+            const fen = options.fen;
+            const key = fen ? positionKey(fen) : null;
+            let text;
+
+            if (key && script[key]) {
+                const count = calls.get(key) || 0;
+                calls.set(key, count + 1);
+                const answers = script[key];
+                text = answers[Math.min(count, answers.length - 1)];
+            } else if (fen) {
+                const legal = ChessRules.legalMoves(ChessRules.parseFen(fen)).map(move => move.san).sort();
+                text = legal[0] || '';
+            } else {
+                text = '';
+            }
+
+            // Replay the answer in small chunks when streaming is requested
+            if (options.onDelta) {
+                for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+                    options.onDelta(text.slice(i, i + STREAM_CHUNK_SIZE), text.slice(0, i + STREAM_CHUNK_SIZE));
+                }
+            }
+
+            return { text, usage: null };
+        }
+    };
+}
+
+module.exports = {
+    createMockProvider,
+    positionKey
+};
@@ -0,0 +1,73 @@
+const OpenAI = require('openai');
+
+// OpenAI chat completions. With a baseURL this also talks to any OpenAI-compatible
+// server (llama.cpp, Ollama, vLLM, LM Studio...), which may not need an API key.
+function createOpenAIProvider({ name = 'openai', apiKey, baseURL, model, maxTokens, temperature }) {
+    // Timeouts and retries are handled by resilient.js, not by the SDK
+    const client = new OpenAI({
+        apiKey: apiKey || 'not-needed',
+        baseURL: baseURL || undefined,
+        maxRetries: 0
+    });
+
+    async function requestCompletion(messages, options) {
+        const request = {
+            model,
+            messages,
+            max_tokens: options.maxTokens || maxTokens,
+            temperature: options.temperature !== undefined ? options.temperature : temperature
+        };
+        const requestOptions = { signal: options.signal };
+
+        // Streamed: hand each text delta to onDelta as it arrives. OpenAI
+        // reports usage in a last chunk when asked; compatible servers may
+        // not understand the option, so they stream without usage.
+        if (options.onDelta) {
+            const streamRequest = Object.assign({ stream: true }, request);
+            if (name === 'openai') {
+                streamRequest.stream_options = { include_usage: true };
+            }
+            const stream = await client.chat.completions.create(streamRequest, requestOptions);
+            let text = '';
+            let usage = null;
+            for await (const chunk of stream) {
+                const delta = chunk.choices[0] && chunk.choices[0].delta.content;
+                if (delta) {
+                    text += delta;
+                    options.onDelta(delta, text);
+                }
+                if (chunk.usage) {
+                    usage = chunk.usage;
+                }
+            }
+            return { text: text.trim(), usage };
+        }
+
+        const completion = await client.chat.completions.create(request, requestOptions);
+
+        return {
+            text: (completion.choices[0].message.content || '').trim(),
+            usage: completion.usage || null
+        };
+    }
+
+    return {
+        name,
+        model,
+        async complete(messages, options = {}) {
+            try {
+                return await requestCompletion(messages, options);
+            } catch (error) {
+                // Connection failures have no status; flag them for the retries in resilient.js
+                if (error instanceof OpenAI.APIConnectionError) {
+                    error.retryable = true;
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createOpenAIProvider
+};
@@ -0,0 +1,218 @@
+// Wraps a provider so every call is bounded and an upstream outage doesn't pile
+// up requests: each attempt has a timeout, transient failures are retried with
+// jittered backoff, and a circuit breaker fails fast once calls keep failing.
+// Failures are thrown as errors with a `code`:
+// - PROVIDER_UNAVAILABLE: the circuit is open; `retryAfterMs` says when to try again
+// - PROVIDER_TIMEOUT: the last attempt got no answer in time
+// - PROVIDER_ERROR: the last attempt failed with a transient upstream error
+
+// Upstream statuses worth another attempt
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+// Network failures as reported by Node
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+function providerError(code, message, fields = {}) {
+    return Object.assign(new Error(message), { code }, fields);
+}
+
+// Providers flag other failures worth another attempt, such as their client's
+// connection errors, with `retryable`
+function isTransient(error) {
+    if (error.code === 'PROVIDER_TIMEOUT' || error.retryable) return true;
+    if (error.status) return RETRYABLE_STATUSES.includes(error.status);
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Full jitter: anywhere up to the exponential backoff for this retry. A
+// Retry-After from the provider is honoured as long as it is within the cap.
+function getRetryDelay(config, error, retry) {
+    const retryAfter = error.headers && Number(error.headers['retry-after']);
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, config.retryMaxMs);
+    }
+    return Math.round(Math.random() * Math.min(config.retryMaxMs, config.retryBaseMs * 2 ** retry));
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// closed: calls go through. open: calls fail fast for `resetMs` after
+// `threshold` failures in a row. half-open: one trial call decides whether the
+// circuit closes again or reopens.
+function createCircuitBreaker({ threshold, resetMs }, onChange) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let trialRunning = false;
+
+    function setState(next) {
+        if (next !== state) {
+            state = next;
+            onChange(state);
+        }
+    }
+
+    function retryAfterMs() {
+        return Math.max(0, openedAt + resetMs - Date.now());
+    }
+
+    function isOpen() {
+        return (state === 'open' && retryAfterMs() > 0) || (state === 'half-open' && trialRunning);
+    }
+
+    // Throws PROVIDER_UNAVAILABLE unless a call may go ahead now
+    function admit() {
+        if (state === 'open' && retryAfterMs() === 0) {
+            setState('half-open');
+        }
+        if (isOpen()) {
+            throw providerError('PROVIDER_UNAVAILABLE', 'The analysis provider is unavailable', {
+                retryAfterMs: Math.max(retryAfterMs(), 1000)
+            });
+        }
+        if (state === 'half-open') {
+            trialRunning = true;
+        }
+    }
+
+    function success() {
+        failures = 0;
+        trialRunning = false;
+        setState('closed');
+    }
+
+    function failure() {
+        failures++;
+        trialRunning = false;
+        if (state === 'half-open' || failures >= threshold) {
+            openedAt = Date.now();
+            setState('open');
+        }
+    }
+
+    // A call cancelled by its caller says nothing about the provider
+    function release() {
+        trialRunning = false;
+    }
+
+    return {
+        get state() {
+            return state;
+        },
+        isOpen,
+        retryAfterMs,
+        admit,
+        success,
+        failure,
+        release
+    };
+}
+
+// The wrapped provider has the same interface, plus `circuit` for checking
+// availability before starting work that needs the provider
+function withResilience(provider, config, logger) {
+    const circuit = createCircuitBreaker(
+        { threshold: config.circuitThreshold, resetMs: config.circuitResetMs },
+        state => {
+            const fields = { provider: provider.name, state };
+            if (state === 'open') {
+                logger.error('Provider circuit opened', Object.assign(fields, { resetMs: config.circuitResetMs }));
+            } else {
+                logger.info('Provider circuit changed', fields);
+            }
+        }
+    );
+
+    // One attempt, aborted after the timeout or when the caller cancels
+    async function attempt(messages, options) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(options.signal.reason);
+        if (options.signal) {
+            if (options.signal.aborted) onAbort();
+            options.signal.addEventListener('abort', onAbort, { once: true });
+        }
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, config.timeoutMs);
+
+        try {
+            return await provider.complete(messages, Object.assign({}, options, { signal: controller.signal }));
+        } catch (error) {
+            if (timedOut) {
+                throw providerError('PROVIDER_TIMEOUT', `The analysis provider did not answer within ${config.timeoutMs}ms`, { cause: error });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (options.signal) options.signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    async function complete(messages, options = {}) {
+        circuit.admit();
+        const log = options.log || logger;
+
+        for (let retry = 0; ; retry++) {
+            try {
+                const result = await attempt(messages, options);
+                circuit.success();
+                return result;
+            } catch (error) {
+                if (options.signal && options.signal.aborted) {
+                    circuit.release();
+                    throw error;
+                }
+                // Anything else (e.g. a bad request or key) means the provider is up
+                if (!isTransient(error)) {
+                    circuit.success();
+                    throw error;
+                }
+                if (retry >= config.maxRetries) {
+                    circuit.failure();
+                    throw error.code === 'PROVIDER_TIMEOUT'
+                        ? error
+                        : providerError('PROVIDER_ERROR', `The analysis provider failed: ${error.message}`, { cause: error });
+                }
+
+                const delayMs = getRetryDelay(config, error, retry);
+                log.warn('Provider call failed, retrying', {
+                    provider: provider.name,
+                    retry: retry + 1,
+                    delayMs,
+                    status: error.status,
+                    error: error.message
+                });
+                try {
+                    await sleep(delayMs, options.signal);
+                } catch (abortError) {
+                    circuit.release();
+                    throw abortError;
+                }
+            }
+        }
+    }
+
+    return {
+        name: provider.name,
+        model: provider.model,
+        circuit,
+        complete
+    };
+}
+
+module.exports = {
+    withResilience
+};
@@ -0,0 +1,118 @@
+// Daily request quotas per user and tier, kept in a pluggable store so they
+// survive restarts. The key that is charged is the key that is reported.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read quota settings from the environment
+function getQuotaConfig(env = process.env) {
+    const isProduction = env.NODE_ENV === 'production';
+    const premiumLimit = env.PREMIUM_DAILY_LIMIT;
+    return {
+        store: env.QUOTA_STORE || 'memory',
+        storePath: env.QUOTA_STORE_PATH,
+        limits: {
+            free: Number(env.FREE_DAILY_LIMIT) || (isProduction ? 10 : 100),
+            // Premium is unlimited unless a number is configured
+            premium: premiumLimit && premiumLimit !== 'unlimited' ? Number(premiumLimit) : Infinity
+        },
+        premiumUsers: new Set((env.PREMIUM_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean))
+    };
+}
+
+// Format a remaining count for API responses; JSON has no Infinity
+function formatRemaining(remaining) {
+    return remaining === Infinity ? 'unlimited' : remaining;
+}
+
+function createQuota(store, config) {
+    function resolveTier(userId) {
+        return config.premiumUsers.has(userId) ? 'premium' : 'free';
+    }
+
+    async function read(userId) {
+        const record = await store.get(`quota:${userId}`);
+        if (record && record.resetAt > Date.now()) {
+            return record;
+        }
+        return { used: 0, resetAt: Date.now() + DAY_MS };
+    }
+
+    function describe(userId, tier, record) {
+        const limit = config.limits[tier];
+        return {
+            userId,
+            tier,
+            limit,
+            used: record.used,
+            remaining: Math.max(0, limit - record.used),
+            resetAt: record.resetAt
+        };
+    }
+
+    // Check and charge in one step: { allowed, record }. Stores shared between
+    // processes do it atomically themselves; otherwise the read and the write
+    // can't interleave with another charge, as consume() runs them in turn.
+    async function charge(userId, points, limit) {
+        const key = `quota:${userId}`;
+        if (store.charge) {
+            return store.charge(key, points, limit, { used: 0, resetAt: Date.now() + DAY_MS }, DAY_MS);
+        }
+
+        const record = await read(userId);
+        if (record.used + points > limit) {
+            return { allowed: false, record };
+        }
+        record.used += points;
+        await store.set(key, record, record.resetAt - Date.now());
+        return { allowed: true, record };
+    }
+
+    // Charges still running per user; a new one waits for the one before it
+    const pendingCharges = new Map();
+
+    // Charge `points` to a user. Resolves to the quota status with `allowed`
+    // false (and nothing charged) when the user is over their limit.
+    async function consume(userId, points = 1) {
+        const tier = resolveTier(userId);
+        const limit = config.limits[tier];
+
+        const previous = pendingCharges.get(userId) || Promise.resolve();
+        const current = previous.catch(() => {}).then(() => charge(userId, points, limit));
+        pendingCharges.set(userId, current);
+        let result;
+        try {
+            result = await current;
+        } finally {
+            if (pendingCharges.get(userId) === current) {
+                pendingCharges.delete(userId);
+            }
+        }
+
+        const status = describe(userId, tier, result.record);
+        if (!result.allowed) {
+            return Object.assign(status, {
+                allowed: false,
+                msBeforeNext: result.record.resetAt - Date.now()
+            });
+        }
+        return Object.assign(status, { allowed: true });
+    }
+
+    // Current status without charging anything
+    async function status(userId) {
+        const tier = resolveTier(userId);
+        return describe(userId, tier, await read(userId));
+    }
+
+    return {
+        resolveTier,
+        consume,
+        status
+    };
+}
+
+module.exports = {
+    getQuotaConfig,
+    createQuota,
+    formatRemaining
+};
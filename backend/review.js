@@ -0,0 +1,86 @@
+const ChessRules = require('../shared/chess-rules');
+const { describeMove } = require('./moves');
+
+// Longest game we annotate in one request
+const MAX_REVIEW_PLIES = 200;
+
+// Each quota point covers this many annotated plies
+const REVIEW_PLIES_PER_POINT = 20;
+
+// Parse and replay a PGN. Throws with a readable message when the PGN is empty,
+// too long or contains an illegal move.
+function loadGame(pgn) {
+    if (!pgn || typeof pgn !== 'string') {
+        throw new Error('Missing PGN');
+    }
+
+    const game = ChessRules.parsePgn(pgn);
+    if (game.moves.length === 0) {
+        throw new Error('The PGN contains no moves');
+    }
+    if (game.moves.length > MAX_REVIEW_PLIES) {
+        throw new Error(`Games longer than ${MAX_REVIEW_PLIES} plies cannot be reviewed`);
+    }
+
+    const options = { chess960: game.chess960 };
+    const validation = ChessRules.validateFen(game.startFen, options);
+    if (!validation.valid) {
+        throw new Error(`Invalid starting position: ${validation.error}`);
+    }
+
+    const replay = ChessRules.replaySan(game.startFen, game.moves, options);
+    return Object.assign(game, replay);
+}
+
+// Quota cost of reviewing a game loaded with loadGame()
+function getReviewCost(game) {
+    return Math.max(1, Math.ceil(game.plies.length / REVIEW_PLIES_PER_POINT));
+}
+
+// Annotate every ply of a game, one provider call at a time. `options`
+// ({ onUsage, log, signal }) are passed on to the advisor; once `signal` is
+// aborted no further plies are annotated and the review rejects.
+async function reviewGame(advisor, game, options = {}) {
+    const moves = [];
+    const summary = {
+        white: { inaccuracy: 0, mistake: 0, blunder: 0 },
+        black: { inaccuracy: 0, mistake: 0, blunder: 0 }
+    };
+
+    for (let i = 0; i < game.plies.length; i++) {
+        if (options.signal && options.signal.aborted) {
+            throw options.signal.reason;
+        }
+        const { before, move } = game.plies[i];
+        const annotation = await advisor.annotateMove(before, move, options);
+        const color = before.turn === 'w' ? 'white' : 'black';
+
+        if (summary[color][annotation.classification] !== undefined) {
+            summary[color][annotation.classification]++;
+        }
+
+        moves.push({
+            ply: i + 1,
+            moveNumber: before.fullmove,
+            fen: ChessRules.toFen(before),
+            played: describeMove(move),
+            best: annotation.best ? describeMove(annotation.best) : null,
+            classification: annotation.classification,
+            comment: annotation.comment
+        });
+    }
+
+    return {
+        headers: game.headers,
+        result: game.result,
+        moves,
+        summary
+    };
+}
+
+module.exports = {
+    MAX_REVIEW_PLIES,
+    loadGame,
+    getReviewCost,
+    reviewGame
+};
@@ -1,27 +1,56 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { RateLimiterMemory } = require('rate-limiter-flexible');
-const OpenAI = require('openai');
+const crypto = require('crypto');
+const ChessRules = require('../shared/chess-rules');
+const Openings = require('../shared/openings');
+const Pgn = require('../shared/pgn');
+const { describeMove, checkMoveText } = require('./moves');
+const { getProviderConfig, createProvider } = require('./providers');
+const { createAdvisor } = require('./advisor');
+const { getPrompt, getCandidatesPrompt, VERBOSITY_LEVELS, MAX_CANDIDATES } = require('./prompts');
+const { loadGame, getReviewCost, reviewGame } = require('./review');
+const { loadBatch } = require('./batch');
+const { createStore } = require('./stores');
+const { getQuotaConfig, createQuota, formatRemaining } = require('./quota');
+const { getCacheConfig, createSuggestionCache } = require('./cache');
+const { getEngineConfig, createEngine, sanLine, toEngineMove } = require('./engine');
+const { getBookConfig, describeOpening, getBookSuggestion } = require('./book');
+const { getLogConfig, createLogger } = require('./logger');
+const { getMetricsConfig, createMetrics } = require('./metrics');
+const { getAuthConfig, compareVersions, isValidVersion, createAuth } = require('./auth');
 
 // Load environment variables
 const result = dotenv.config();
-if (result.error && process.env.NODE_ENV !== 'production') {
-    console.error('Error loading .env file:', result.error);
-}
 
-// Validate required environment variables
-const requiredEnvVars = ['OPENAI_API_KEY'];
-const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
-if (missingEnvVars.length > 0) {
-    console.error('Missing required environment variables:', missingEnvVars);
+// Structured JSON logs (see logger.js for the settings)
+let logger;
+try {
+    logger = createLogger(getLogConfig());
+} catch (error) {
+    console.error('Error initializing logger:', error.message);
     process.exit(1);
 }
+if (result.error && process.env.NODE_ENV !== 'production') {
+    logger.warn('Error loading .env file', { error: result.error.message });
+}
+
+const metricsConfig = getMetricsConfig();
+const metrics = createMetrics(metricsConfig);
 
 const app = express();
 const port = process.env.PORT || 3000;
 const isProduction = process.env.NODE_ENV === 'production';
 
+// Behind a reverse proxy (Render has one) the client address comes from
+// X-Forwarded-For; TRUST_PROXY_HOPS says how many proxies to trust
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS) || (isProduction ? 1 : 0));
+
+// On SIGTERM/SIGINT, requests in flight get this long to finish before the process exits
+const shutdownTimeoutMs = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+let shuttingDown = false;
+let requestsInFlight = 0;
+
 // Security middleware
 app.use((req, res, next) => {
     res.setHeader('X-Content-Type-Options', 'nosniff');
@@ -36,148 +65,1063 @@ const corsOptions = {
         ? [
             'https://www.chess.com',
             'https://chess.com',
+            'https://lichess.org',
             'https://chess-gpt-advisor.onrender.com'
           ]
         : '*',
     methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'X-Client-Version']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-Version', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id', 'Retry-After']
 };
 app.use(cors(corsOptions));
-app.use(express.json());
+app.use(express.json({ limit: '256kb' }));
 
-// Rate limiter setup - more restrictive in production
-const rateLimiter = new RateLimiterMemory({
-    points: isProduction ? 10 : 100, // 10 requests per day in production
-    duration: 86400 // Per day
+// Request IDs: the client's X-Request-Id when it is usable, otherwise a new
+// one. It is echoed in the response header and tagged on every log line of
+// the request. Each finished request is logged and counted in the metrics.
+app.use((req, res, next) => {
+    const clientId = req.get('X-Request-Id');
+    req.id = clientId && /^[\w.-]{1,64}$/.test(clientId) ? clientId : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.setHeader('X-Request-Id', req.id);
+
+    const startTime = Date.now();
+    let finished = false;
+    requestsInFlight++;
+    const onFinished = () => {
+        if (finished) return;
+        finished = true;
+        requestsInFlight--;
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        const durationMs = Date.now() - startTime;
+        // A stream closed by the client never gets to send a status
+        const status = res.writableFinished ? res.statusCode : 499;
+        metrics.recordRequest({ method: req.method, route, status, durationMs });
+        req.log.info('Request finished', {
+            method: req.method,
+            route,
+            status,
+            durationMs,
+            tier: req.quota ? req.quota.tier : undefined
+        });
+        // While draining, kept-alive connections are closed as soon as they go idle
+        if (shuttingDown) {
+            setImmediate(() => server.closeIdleConnections());
+        }
+    };
+    res.on('finish', onFinished);
+    res.on('close', onFinished);
+    next();
 });
 
-// Initialize OpenAI with error handling
-let openai;
+// Daily quotas per tier - more restrictive in production (see quota.js for the settings)
+const quotaConfig = getQuotaConfig();
+let quotaStore;
+let quota;
 try {
-    openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-    });
+    quotaStore = createStore({ type: quotaConfig.store, filePath: quotaConfig.storePath, name: 'quota' });
+    quota = createQuota(quotaStore, quotaConfig);
+    logger.info('Quota store ready', { store: quotaStore.name });
 } catch (error) {
-    console.error('Error initializing OpenAI client:', error);
+    logger.error('Error initializing quota store', { error: error.message });
     process.exit(1);
 }
 
-// Chess-specific prompt template for custom move suggestion format
-function getPrompt(playerColor) {
-    return `You are an expert chess advisor. Your role is to:
-1. Analyze the current position thoroughly
-2. Suggest ONLY the best move for the ${playerColor || 'side to move'} in the following format:
-   - If White: 'White [Piece] --> [destination square]'
-   - If Black: 'Black [Piece] --> [destination square]'
-   For example: 'White Knight --> f3' or 'Black Pawn --> d5'.
-   Do NOT provide any explanation or analysis. Just output the move in this format only.`;
+// Client tokens (see auth.js for the settings). Registrations per address are
+// counted in the quota store.
+const authConfig = getAuthConfig();
+let auth;
+try {
+    auth = createAuth(quotaStore, authConfig);
+    if (auth.hasRandomSecret) {
+        logger.warn('AUTH_TOKEN_SECRET is not set; client tokens will not survive a restart');
+    }
+} catch (error) {
+    logger.error('Error initializing client tokens', { error: error.message });
+    process.exit(1);
 }
 
-// Rate limiting middleware with user tracking
-const rateLimitMiddleware = async (req, res, next) => {
-    const userId = req.headers['x-user-id'] || req.ip;
+// Extension builds older than MIN_CLIENT_VERSION are told to upgrade.
+// Requests without X-Client-Version (scripts, health checks) are let through.
+app.use((req, res, next) => {
+    const version = req.get('X-Client-Version');
+    if (version && (!isValidVersion(version) || compareVersions(version, authConfig.minClientVersion) < 0)) {
+        req.log.info('Refused outdated client', { version });
+        return res.status(426).json({
+            error: 'This version of Chess GPT Advisor is out of date. Please update the extension to keep getting suggestions.',
+            code: 'CLIENT_OUTDATED',
+            minVersion: authConfig.minClientVersion
+        });
+    }
+    next();
+});
+
+// Initialize the analysis provider (see providers/index.js for the settings)
+let provider;
+try {
+    provider = createProvider(getProviderConfig(), { logger });
+    logger.info('Analysis provider ready', { provider: provider.name, model: provider.model });
+} catch (error) {
+    logger.error('Error initializing analysis provider', { error: error.message });
+    process.exit(1);
+}
+
+const advisor = createAdvisor(provider, { logger });
+
+// Optional local UCI engine (see engine.js for the settings)
+const engineConfig = getEngineConfig();
+let engine = null;
+if (engineConfig.enabled) {
     try {
-        await rateLimiter.consume(userId);
+        engine = createEngine(engineConfig);
+    } catch (error) {
+        logger.error('Error initializing analysis engine', { error: error.message });
+        process.exit(1);
+    }
+    engine.ready
+        .then(() => logger.info('Analysis engine ready', {
+            engine: engine.name,
+            depth: engineConfig.depth,
+            moveTimeMs: engineConfig.moveTimeMs,
+            multiPv: engineConfig.multiPv
+        }))
+        .catch(error => {
+            logger.error('Error initializing analysis engine', { error: error.message });
+            process.exit(1);
+        });
+}
+
+// Position-keyed suggestion cache (see cache.js for the settings)
+const cacheConfig = getCacheConfig();
+let suggestionCache;
+try {
+    suggestionCache = createSuggestionCache(cacheConfig);
+    logger.info('Suggestion cache ready', { enabled: cacheConfig.enabled, store: suggestionCache.storeName });
+} catch (error) {
+    logger.error('Error initializing suggestion cache', { error: error.message });
+    process.exit(1);
+}
+
+// Bundled opening book (see book.js for the settings)
+const bookConfig = getBookConfig();
+logger.info('Opening book ready', { enabled: bookConfig.enabled });
+
+// The identity quotas are charged to and reported for, from the client token
+function getQuotaKey(req) {
+    return req.clientId;
+}
+
+// Endpoints that cost quota need a client token: `Authorization: Bearer <token>`.
+// The client ID it was issued for is kept on req.clientId.
+const requireClientToken = (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'A client token is required', code: 'TOKEN_MISSING' });
+    }
+
+    const result = auth.verify(token);
+    if (!result.valid) {
+        const expired = result.reason === 'expired';
+        return res.status(401).json({
+            error: expired ? 'The client token has expired' : 'The client token is not valid',
+            code: expired ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
+        });
+    }
+    req.clientId = result.clientId;
+    next();
+};
+
+// Rate limiting middleware with user tracking. `getCost` lets expensive
+// endpoints charge more than one point per request. The charged status is
+// kept on req.quota so responses report exactly what was charged.
+const createRateLimitMiddleware = (getCost = () => 1) => async (req, res, next) => {
+    const userId = getQuotaKey(req);
+    try {
+        const status = await quota.consume(userId, getCost(req));
+        if (!status.allowed) {
+            req.log.warn('Rate limit exceeded', { userId, tier: status.tier });
+            return res.status(429).json({
+                error: 'Too many requests. Please try again later.',
+                tier: status.tier,
+                retryAfter: status.msBeforeNext / 1000
+            });
+        }
+        req.quota = status;
         next();
     } catch (error) {
-        console.warn(`Rate limit exceeded for user: ${userId}`);
-        res.status(429).json({ 
-            error: 'Too many requests. Please try again later.',
-            retryAfter: error.msBeforeNext / 1000
+        req.log.error('Error charging quota', { error });
+        res.status(500).json({ error: 'Quota service unavailable' });
+    }
+};
+
+const rateLimitMiddleware = createRateLimitMiddleware();
+
+// Fair-play guard. The extension tags each request with the page context it came
+// from; anything flagged as a live game against another player is refused before
+// it costs quota or reaches the provider.
+const LIVE_PLAY_CONTEXTS = ['live-human'];
+
+const fairPlayMiddleware = (req, res, next) => {
+    const context = req.body && req.body.context;
+    if (LIVE_PLAY_CONTEXTS.includes(context)) {
+        req.log.warn('Refused request from live play context', { context });
+        return res.status(403).json({
+            error: 'Suggestions are not available during live games against other players.',
+            code: 'LIVE_GAME'
         });
     }
+    next();
 };
 
-// Health check endpoint
+// Health check endpoint. A draining server answers 503 so no new work is sent
+// its way; an open provider circuit is reported, but the server itself is up.
 app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'ok',
+    res.status(shuttingDown ? 503 : 200).json({
+        status: shuttingDown ? 'shutting-down' : 'ok',
+        provider: { name: provider.name, circuit: provider.circuit.state },
         environment: process.env.NODE_ENV,
         timestamp: new Date().toISOString()
     });
 });
 
-// Move suggestion endpoint
-app.post('/suggest-move', rateLimitMiddleware, async (req, res) => {
+// Provider failures the client can act on, as { status, body }: the circuit
+// breaker failing fast, or a provider that timed out or kept failing after
+// retries (see providers/resilient.js). Null for any other error.
+function getProviderFailure(error) {
+    switch (error.code) {
+        case 'PROVIDER_UNAVAILABLE':
+            return {
+                status: 503,
+                body: {
+                    error: 'The analysis service is temporarily unavailable. Please try again shortly.',
+                    code: error.code,
+                    retryAfter: Math.ceil(error.retryAfterMs / 1000)
+                }
+            };
+        case 'PROVIDER_TIMEOUT':
+            return { status: 504, body: { error: 'The analysis service took too long to answer', code: error.code } };
+        case 'PROVIDER_ERROR':
+            return { status: 502, body: { error: 'The analysis service failed to answer', code: error.code } };
+        default:
+            return null;
+    }
+}
+
+function sendProviderFailure(res, failure) {
+    if (failure.body.retryAfter) {
+        res.set('Retry-After', String(failure.body.retryAfter));
+    }
+    res.status(failure.status).json(failure.body);
+}
+
+// Book answers, cache hits and engine-only suggestions don't need the provider
+function needsProvider(req) {
+    return !req.book && !req.cached && req.source !== 'engine';
+}
+
+// While the provider's circuit is open, requests that would need it fail fast,
+// before they are charged. A batch needs it if any of its positions does.
+const providerAvailabilityMiddleware = (req, res, next) => {
+    const needed = req.batch
+        ? req.batch.items.some(item => item.request && needsProvider(item.request))
+        : needsProvider(req);
+    if (!needed || !provider.circuit.isOpen()) {
+        return next();
+    }
+    sendProviderFailure(res, getProviderFailure({
+        code: 'PROVIDER_UNAVAILABLE',
+        retryAfterMs: provider.circuit.retryAfterMs()
+    }));
+};
+
+// Register a new client: a client ID and its first token. Limited per client address.
+app.post('/auth/register', async (req, res) => {
+    try {
+        const registration = await auth.register(req.ip);
+        if (!registration.allowed) {
+            req.log.warn('Registration limit reached');
+            return res.status(429).json({
+                error: 'Too many registrations from this address. Please try again later.',
+                retryAfter: registration.retryAfterMs / 1000
+            });
+        }
+        req.log.info('Client registered', { clientId: registration.credentials.clientId });
+        res.status(201).json(registration.credentials);
+    } catch (error) {
+        req.log.error('Error registering client', { error });
+        res.status(500).json({ error: 'Registration unavailable' });
+    }
+});
+
+// Exchange a token, valid or recently expired, for a new one for the same client
+app.post('/auth/refresh', (req, res) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const credentials = scheme === 'Bearer' ? auth.refresh(token) : null;
+    if (!credentials) {
+        return res.status(401).json({ error: 'The client token cannot be refreshed; register again', code: 'TOKEN_INVALID' });
+    }
+    res.json(credentials);
+});
+
+// Where a suggestion comes from: the LLM, the engine, or the LLM's move with
+// the engine's evaluation next to it
+const SUGGESTION_SOURCES = ['llm', 'engine', 'both'];
+
+// Chess960 positions with standard-looking castling rights need the variant
+// from the client; other Chess960 positions are recognised from their FEN
+const VARIANTS = ['standard', 'chess960'];
+
+// The side a single suggestion is for, when the client names it
+const PLAYER_COLORS = ['white', 'black'];
+
+// Check the options shared by single and batch suggestion requests. Returns
+// an error message, or null when they are usable.
+function checkSuggestionOptions({ verbosity = 'move', source = 'llm', candidates = 1, variant = 'standard' }) {
+    if (!VERBOSITY_LEVELS.includes(verbosity)) {
+        return `verbosity must be one of: ${VERBOSITY_LEVELS.join(', ')}`;
+    }
+    if (!SUGGESTION_SOURCES.includes(source)) {
+        return `source must be one of: ${SUGGESTION_SOURCES.join(', ')}`;
+    }
+    if (source !== 'llm' && !engine) {
+        return 'The analysis engine is not enabled on this server';
+    }
+    if (!Number.isInteger(candidates) || candidates < 1 || candidates > MAX_CANDIDATES) {
+        return `candidates must be a whole number from 1 to ${MAX_CANDIDATES}`;
+    }
+    if (!VARIANTS.includes(variant)) {
+        return `variant must be one of: ${VARIANTS.join(', ')}`;
+    }
+    return null;
+}
+
+// Validate a suggestion request before it is charged; the parsed position is kept on req.position
+const validateSuggestionRequest = (req, res, next) => {
+    const { gameState, currentMove, playerColor, verbosity = 'move', source = 'llm', candidates = 1, variant = 'standard' } = req.body;
+
+    req.log.debug('Suggestion request', { fen: gameState, lastMove: currentMove, playerColor, verbosity, source, candidates, variant });
+
+    if (!gameState || !currentMove) {
+        return res.status(400).json({ error: 'Missing required game information' });
+    }
+
+    // Both go into the prompt, so nothing but a move and a colour is let through
+    const moveError = checkMoveText('currentMove', currentMove);
+    if (moveError) {
+        return res.status(400).json({ error: moveError });
+    }
+    if (playerColor !== undefined && !PLAYER_COLORS.includes(playerColor)) {
+        return res.status(400).json({ error: `playerColor must be one of: ${PLAYER_COLORS.join(', ')}` });
+    }
+
+    const optionsError = checkSuggestionOptions(req.body);
+    if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+    }
+
+    // Validate the position itself, not just the FEN syntax
+    const validation = ChessRules.validateFen(gameState, { chess960: variant === 'chess960' });
+    if (!validation.valid) {
+        return res.status(400).json({
+            error: 'Invalid chess position format',
+            details: validation.error
+        });
+    }
+
+    const outcome = ChessRules.outcome(validation.position);
+    if (outcome) {
+        return res.status(422).json({ error: `No legal moves in this position (${outcome})` });
+    }
+
+    req.position = validation.position;
+    req.verbosity = verbosity;
+    req.source = source;
+    req.candidates = candidates;
+    req.opening = getOpening(req.position, req.body.opening);
+    next();
+};
+
+// The opening the position belongs to, as { eco, name, inBook }: the book's
+// name for the position, or else the last book opening the client saw in the
+// game (ignored unless it names an opening in the book). Null when unknown,
+// and always for Chess960, which has no opening theory in the book.
+function getOpening(position, clientOpening) {
+    if (position.chess960) return null;
+    const entry = Openings.lookup(position);
+    if (entry && entry.opening) {
+        return Object.assign({}, entry.opening, { inBook: true });
+    }
+    if (Openings.isKnownOpening(clientOpening)) {
+        return { eco: clientOpening.eco, name: clientOpening.name, inBook: Boolean(entry) };
+    }
+    return null;
+}
+
+// Cache entries are specific to the source, the provider and model or engine
+// settings, the explanation level and, as the prompt differs, Chess960
+function getCacheVariant(req) {
+    const candidates = req.candidates > 1 ? `:candidates=${req.candidates}` : '';
+    const chess960 = req.position.chess960 ? ':chess960' : '';
+    const llmVariant = `${provider.name}:${provider.model}:${req.verbosity}${candidates}${chess960}`;
+    if (req.source === 'llm') return llmVariant;
+
+    const engineVariant = `engine:${engine.name}:${engineConfig.depth}:${engineConfig.moveTimeMs}:${engineConfig.multiPv}`;
+    return req.source === 'engine' ? `${engineVariant}:${req.verbosity}${candidates}` : `${llmVariant}+${engineVariant}`;
+}
+
+// The engine's view of a position: score (from White's side), best move and
+// the top lines in SAN. Null when the engine finds no move.
+async function getEngineEvaluation(position, fen, signal, multiPv = engineConfig.multiPv) {
+    const analysis = await engine.analyse(fen, { multiPv, signal, chess960: position.chess960 });
+    const best = analysis.bestMove && ChessRules.parseUci(position, analysis.bestMove);
+    if (!best || !analysis.lines.length) {
+        return null;
+    }
+    return {
+        engine: engine.name,
+        depth: analysis.depth,
+        score: analysis.lines[0].score,
+        bestMove: describeMove(best),
+        lines: analysis.lines.map(line => ({
+            rank: line.rank,
+            score: line.score,
+            line: sanLine(position, line.pv)
+        }))
+    };
+}
+
+// Engine scores for `moves`, keyed by UCI: from the evaluation's top lines
+// where possible, otherwise from one search restricted to the missing moves
+async function scoreMoves(position, evaluation, moves, fen, signal) {
+    const scores = new Map();
+    for (const move of moves) {
+        const line = evaluation.lines.find(candidate => candidate.line[0] === move.san);
+        if (line) scores.set(move.uci, line.score);
+    }
+
+    const missing = moves.filter(move => !scores.has(move.uci));
+    if (missing.length) {
+        const analysis = await engine.analyse(fen, {
+            multiPv: missing.length,
+            searchMoves: missing.map(move => toEngineMove(move, position.chess960)),
+            signal,
+            chess960: position.chess960
+        });
+        for (const line of analysis.lines) {
+            const move = ChessRules.parseUci(position, line.pv[0]);
+            if (move) scores.set(move.uci, line.score);
+        }
+    }
+    return scores;
+}
+
+// Add how the LLM's move compares: whether it is the engine's choice and its score
+function compareWithEngine(evaluation, move, scores) {
+    return Object.assign({}, evaluation, {
+        agrees: move.uci === evaluation.bestMove.uci,
+        suggestionScore: scores.get(move.uci) || null
+    });
+}
+
+// Candidate moves as the API returns them
+function describeCandidates(candidates) {
+    return candidates.map(candidate => Object.assign({}, candidate, { move: describeMove(candidate.move) }));
+}
+
+// The engine's top lines as candidates; the idea is the line it expects
+function getEngineCandidates(position, evaluation, count) {
+    return evaluation.lines.slice(0, count).map(line => ({
+        rank: line.rank,
+        move: ChessRules.parseSan(position, line.line[0]),
+        confidence: null,
+        score: line.score,
+        idea: line.line.slice(0, 6).join(' ')
+    })).filter(candidate => candidate.move);
+}
+
+// Explanation for engine-only suggestions, at the requested level
+function getEngineExplanation(evaluation, verbosity) {
+    if (verbosity === 'move') return null;
+    const explanation = {
+        reason: `Engine evaluation ${Pgn.formatScore(evaluation.score)} at depth ${evaluation.depth}`
+    };
+    if (verbosity === 'full') {
+        explanation.line = evaluation.lines[0].line;
+    }
+    return explanation;
+}
+
+// Known theory is answered from the opening book without a provider call.
+// Only for LLM suggestions: the engine is local and cheap to ask. The book
+// is standard chess only.
+function lookupBook(req) {
+    if (bookConfig.enabled && req.source === 'llm' && !req.position.chess960) {
+        req.book = getBookSuggestion(req.position, { verbosity: req.verbosity, count: req.candidates });
+    }
+}
+
+const bookLookupMiddleware = (req, res, next) => {
+    lookupBook(req);
+    next();
+};
+
+// Look the position up before charging, so cache hits can be free
+async function lookupCache(req) {
+    if (req.book) return;
+    try {
+        req.cached = await suggestionCache.get(req.position, getCacheVariant(req));
+    } catch (error) {
+        req.log.error('Error reading suggestion cache', { error });
+    }
+}
+
+const cacheLookupMiddleware = async (req, res, next) => {
+    await lookupCache(req);
+    next();
+};
+
+// Book moves are free; cache hits are free unless CACHE_CHARGE_HITS is set
+function getSuggestionCost(req) {
+    if (req.book) return 0;
+    return req.cached && !cacheConfig.chargeHits ? 0 : 1;
+}
+
+const suggestionRateLimitMiddleware = createRateLimitMiddleware(getSuggestionCost);
+
+// Produce the /suggest-move response for a validated, charged request.
+// Resolves to { status, body }; progress events go to `onProgress` when given.
+async function buildSuggestion(req, { onProgress, signal } = {}) {
     const startTime = Date.now();
-    console.log(`[${new Date().toISOString()}] Move suggestion requested`);
-    
+    const { gameState, currentMove, playerColor, includeRaw } = req.body;
+    const { verbosity, source } = req;
+    const count = req.candidates;
+    const opening = req.opening ? { opening: req.opening } : {};
+
+    if (req.book) {
+        req.log.debug('Suggestion served from the opening book');
+        const suggestion = describeMove(req.book.move);
+        return {
+            status: 200,
+            body: Object.assign({
+                suggestion,
+                explanation: req.book.explanation,
+                legal: true,
+                attempts: 0,
+                cacheHit: false,
+                book: true,
+                remainingRequests: getRemainingRequests(req),
+                tier: req.quota.tier,
+                processingTime: Date.now() - startTime
+            }, opening, req.book.candidates ? { candidates: describeCandidates(req.book.candidates) } : {})
+        };
+    }
+
+    if (req.cached) {
+        req.log.debug('Suggestion served from cache');
+        const { suggestion, explanation, evaluation, candidates, raw } = req.cached;
+        return {
+            status: 200,
+            body: Object.assign({
+                suggestion: includeRaw ? Object.assign({}, suggestion, { raw }) : suggestion,
+                explanation,
+                legal: true,
+                attempts: 0,
+                cacheHit: true,
+                remainingRequests: getRemainingRequests(req),
+                tier: req.quota.tier,
+                processingTime: Date.now() - startTime
+            }, opening, candidates ? { candidates } : {}, source === 'llm' ? {} : { source, evaluation })
+        };
+    }
+
+    // With `both`, the engine runs alongside the LLM and its evaluation is
+    // streamed as soon as it is ready
+    const evaluationPromise = source === 'llm'
+        ? Promise.resolve(null)
+        : getEngineEvaluation(req.position, gameState, signal, Math.max(engineConfig.multiPv, count)).then(evaluation => {
+            if (evaluation && source === 'both' && onProgress) {
+                onProgress({ type: 'evaluation', evaluation });
+            }
+            return evaluation;
+        });
+
+    let move = null;
+    let attempts = 0;
+    let raw;
+    let explanation = null;
+    let evaluation;
+    let candidates = null;
+
+    if (source === 'engine') {
+        evaluation = await evaluationPromise;
+        if (evaluation) {
+            move = ChessRules.parseUci(req.position, evaluation.bestMove.uci);
+            explanation = getEngineExplanation(evaluation, verbosity);
+            raw = evaluation.bestMove.uci;
+            if (count > 1) {
+                candidates = getEngineCandidates(req.position, evaluation, count);
+            }
+        }
+    } else if (count > 1) {
+        req.log.debug('Prompt sent to provider', { prompt: getCandidatesPrompt(playerColor, count) });
+
+        let result;
+        [result, evaluation] = await Promise.all([
+            advisor.suggestCandidates(req.position, {
+                fen: gameState,
+                currentMove,
+                playerColor,
+                count,
+                opening: describeOpening(req.opening),
+                onProgress,
+                onUsage: usage => recordUsage(req, usage),
+                log: req.log,
+                signal
+            }),
+            evaluationPromise
+        ]);
+        ({ attempts, raw } = result);
+
+        if (result.candidates.length) {
+            candidates = result.candidates;
+            move = candidates[0].move;
+            explanation = verbosity === 'move' ? null : { reason: candidates[0].idea };
+        }
+        if (move && evaluation) {
+            const scores = await scoreMoves(req.position, evaluation, candidates.map(candidate => candidate.move), gameState, signal);
+            candidates = candidates.map(candidate => Object.assign({}, candidate, { score: scores.get(candidate.move.uci) || null }));
+            evaluation = compareWithEngine(evaluation, move, scores);
+        }
+    } else {
+        req.log.debug('Prompt sent to provider', { prompt: getPrompt(playerColor, verbosity) });
+
+        let result;
+        [result, evaluation] = await Promise.all([
+            advisor.suggestMove(req.position, {
+                fen: gameState,
+                currentMove,
+                playerColor,
+                verbosity,
+                opening: describeOpening(req.opening),
+                onProgress,
+                onUsage: usage => recordUsage(req, usage),
+                log: req.log,
+                signal
+            }),
+            evaluationPromise
+        ]);
+        ({ move, attempts, raw, explanation } = result);
+
+        if (move && evaluation) {
+            evaluation = compareWithEngine(evaluation, move, await scoreMoves(req.position, evaluation, [move], gameState, signal));
+        }
+    }
+
+    const processingTime = Date.now() - startTime;
+
+    // A move that can't be played is worse than no suggestion at all
+    if (!move) {
+        return {
+            status: 502,
+            body: {
+                error: 'Could not obtain a legal move suggestion for this position',
+                legal: false,
+                attempts,
+                details: isProduction ? undefined : raw
+            }
+        };
+    }
+
+    const suggestion = describeMove(move);
+    if (candidates) {
+        candidates = describeCandidates(candidates);
+    }
     try {
-        const { gameState, currentMove, playerColor } = req.body;
+        await suggestionCache.set(req.position, getCacheVariant(req), { suggestion, explanation, evaluation, candidates, raw });
+    } catch (error) {
+        req.log.error('Error writing suggestion cache', { error });
+    }
+
+    return {
+        status: 200,
+        body: Object.assign({
+            suggestion: includeRaw ? Object.assign({}, suggestion, { raw }) : suggestion,
+            explanation,
+            legal: true,
+            attempts,
+            cacheHit: false,
+            remainingRequests: getRemainingRequests(req),
+            tier: req.quota.tier,
+            processingTime
+        }, opening, candidates ? { candidates } : {}, source === 'llm' ? {} : { source, evaluation: evaluation || null })
+    };
+}
+
+const suggestionMiddleware = [
+    requireClientToken,
+    fairPlayMiddleware,
+    validateSuggestionRequest,
+    bookLookupMiddleware,
+    cacheLookupMiddleware,
+    providerAvailabilityMiddleware,
+    suggestionRateLimitMiddleware
+];
+
+// Move suggestion endpoint
+app.post('/suggest-move', suggestionMiddleware, async (req, res) => {
+    try {
+        const { status, body } = await buildSuggestion(req);
+        res.status(status).json(body);
+    } catch (error) {
+        const failure = getProviderFailure(error);
+        if (failure) {
+            req.log.warn('Analysis provider unavailable', { code: error.code, error: error.message });
+            return sendProviderFailure(res, failure);
+        }
+        req.log.error('Error generating move suggestion', { error });
+        res.status(500).json({ 
+            error: 'Failed to generate move suggestion', 
+            details: isProduction ? 'Internal server error' : error.message
+        });
+    }
+});
 
-        // Log incoming request details
-        console.log('--- Incoming Suggestion Request ---');
-        console.log('FEN:', gameState);
-        console.log('Last move:', currentMove);
-        console.log('Player color:', playerColor);
-        console.log('-----------------------------------');
+// Streaming variant of /suggest-move over Server-Sent Events. Events:
+// queued, analysing ({ attempt, retryReason }), partial ({ explanation }),
+// final (the /suggest-move response) and error ({ error, status }).
+// Closing the connection cancels the provider call.
+app.post('/suggest-move/stream', suggestionMiddleware, async (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
 
-        if (!gameState || !currentMove) {
-            return res.status(400).json({ error: 'Missing required game information' });
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            req.log.info('Client closed the suggestion stream');
+            abortController.abort();
         }
+    });
 
-        // Validate FEN string format
-        if (!gameState.match(/^([pnbrqkPNBRQK1-8]+\/){7}[pnbrqkPNBRQK1-8]+\s[bw]\s[kqKQ-]+\s[a-h1-8-]+\s\d+\s\d+$/)) {
-            return res.status(400).json({ error: 'Invalid chess position format' });
+    const sendEvent = (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
         }
+    };
 
-        const prompt = getPrompt(playerColor);
-        console.log('Prompt sent to OpenAI:', prompt);
+    sendEvent('queued', { cached: Boolean(req.cached), book: Boolean(req.book) });
 
-        const completion = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
-            messages: [
-                {
-                    role: "system",
-                    content: prompt
-                },
-                {
-                    role: "user",
-                    content: `Current position (FEN): ${gameState}\nLast move played: ${currentMove}\n\nSuggest only the best move for ${playerColor || 'the side to move'} in this format. No explanation.`
-                }
-            ],
-            max_tokens: 20,
-            temperature: 0.2
+    try {
+        const { status, body } = await buildSuggestion(req, {
+            signal: abortController.signal,
+            onProgress: ({ type, ...data }) => sendEvent(type, data)
         });
+        sendEvent(status === 200 ? 'final' : 'error', Object.assign({ status }, body));
+    } catch (error) {
+        if (abortController.signal.aborted) return;
+        const failure = getProviderFailure(error);
+        if (failure) {
+            req.log.warn('Analysis provider unavailable', { code: error.code, error: error.message });
+            sendEvent('error', Object.assign({ status: failure.status }, failure.body));
+        } else {
+            req.log.error('Error streaming move suggestion', { error });
+            sendEvent('error', {
+                status: 500,
+                error: 'Failed to generate move suggestion',
+                details: isProduction ? 'Internal server error' : error.message
+            });
+        }
+    }
+    res.end();
+});
+
+// What buildSuggestion() needs from a request, for one position of a batch.
+// The side to move differs from position to position, so there is no playerColor.
+function createBatchItemRequest(req, item) {
+    return {
+        body: { gameState: item.fen, currentMove: item.lastMove, includeRaw: req.body.includeRaw },
+        log: req.log.child({ batchIndex: item.index }),
+        clientId: req.clientId,
+        verbosity: req.verbosity,
+        source: req.source,
+        candidates: req.candidates,
+        position: item.position,
+        opening: getOpening(item.position, null)
+    };
+}
+
+// Positions repeated within a batch (e.g. a transposition) are analysed once
+function getBatchKey(item) {
+    return `${ChessRules.positionKey(item.position)}${item.position.chess960 ? ':chess960' : ''}`;
+}
+
+// Validate a batch request (see batch.js) and look its positions up in the
+// book and the cache before it is charged. The batch is kept on req.batch,
+// with a request for buildSuggestion() on each position that can be analysed.
+const validateBatchRequest = async (req, res, next) => {
+    const { verbosity = 'move', source = 'llm', candidates = 1 } = req.body;
+    const optionsError = checkSuggestionOptions(req.body);
+    if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+    }
 
+    let batch;
+    try {
+        batch = loadBatch(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid batch', details: error.message });
+    }
+    req.log.debug('Batch request', { positions: batch.items.length, pgn: Boolean(batch.game), verbosity, source, candidates });
+
+    req.verbosity = verbosity;
+    req.source = source;
+    req.candidates = candidates;
+    for (const item of batch.items) {
+        if (!item.position) continue;
+        item.request = createBatchItemRequest(req, item);
+        lookupBook(item.request);
+        await lookupCache(item.request);
+    }
+    req.batch = batch;
+    next();
+};
+
+// Each position costs what it would cost on its own, and repeated positions
+// are charged once
+function getBatchCost(req) {
+    const seen = new Set();
+    let cost = 0;
+    for (const item of req.batch.items) {
+        if (!item.request || seen.has(getBatchKey(item))) continue;
+        seen.add(getBatchKey(item));
+        cost += getSuggestionCost(item.request);
+    }
+    return cost;
+}
+
+// The batch entry for one position: where it is in the input, then the
+// /suggest-move response for it, or its error. `answers` holds the results
+// of the positions analysed so far, by batch key.
+async function analyseBatchItem(req, item, answers, signal) {
+    const entry = { index: item.index, fen: item.fen };
+    for (const field of ['id', 'ply', 'moveNumber', 'played']) {
+        if (item[field] !== undefined) entry[field] = item[field];
+    }
+    if (!item.request) {
+        return Object.assign(entry, { status: item.status, error: item.error, details: item.details });
+    }
+
+    const key = getBatchKey(item);
+    let result = answers.get(key);
+    if (!result) {
+        item.request.quota = req.quota;
+        try {
+            result = await buildSuggestion(item.request, { signal });
+        } catch (error) {
+            if (signal.aborted) throw error;
+            const failure = getProviderFailure(error);
+            if (failure) {
+                item.request.log.warn('Analysis provider unavailable', { code: error.code, error: error.message });
+                result = failure;
+            } else {
+                item.request.log.error('Error generating move suggestion', { error });
+                result = {
+                    status: 500,
+                    body: {
+                        error: 'Failed to generate move suggestion',
+                        details: isProduction ? 'Internal server error' : error.message
+                    }
+                };
+            }
+        }
+        answers.set(key, result);
+    }
+
+    // The quota is reported once for the whole batch
+    const { remainingRequests, tier, ...body } = result.body;
+    return Object.assign(entry, { status: result.status }, body);
+}
+
+// Batch analysis: a suggestion for every position of a FEN list or a PGN
+// game, one position at a time. A position that can't be analysed gets an
+// error in its entry; only problems with the batch as a whole fail the request.
+// Closing the connection stops the batch.
+app.post('/suggest-batch', requireClientToken, fairPlayMiddleware, validateBatchRequest, providerAvailabilityMiddleware, createRateLimitMiddleware(getBatchCost), async (req, res) => {
+    const startTime = Date.now();
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            req.log.info('Client closed the batch request');
+            abortController.abort();
+        }
+    });
+
+    const answers = new Map();
+    const results = [];
+    try {
+        for (const item of req.batch.items) {
+            if (abortController.signal.aborted) return;
+            results.push(await analyseBatchItem(req, item, answers, abortController.signal));
+        }
+    } catch (error) {
+        // Only a cancelled batch gets here, and its client is gone
+        return;
+    }
+
+    const processingTime = Date.now() - startTime;
+    req.log.debug('Batch processed', { positions: results.length, analysed: answers.size, processingTime });
+    res.json(Object.assign(req.batch.game ? { game: req.batch.game } : {}, {
+        results,
+        remainingRequests: getRemainingRequests(req),
+        tier: req.quota.tier,
+        processingTime
+    }));
+});
+
+// Load the PGN of a review request before it is charged; the replayed game is kept on req.game
+const validateReviewRequest = (req, res, next) => {
+    try {
+        req.game = loadGame(req.body.pgn);
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid game', details: error.message });
+    }
+    req.log.debug('Review request', { plies: req.game.plies.length, chess960: req.game.chess960 });
+    next();
+};
+
+// Post-game review endpoint - annotates every move of a finished game.
+// Closing the connection stops the review.
+app.post('/review-game', requireClientToken, fairPlayMiddleware, validateReviewRequest, providerAvailabilityMiddleware, createRateLimitMiddleware(req => getReviewCost(req.game)), async (req, res) => {
+    const startTime = Date.now();
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            req.log.info('Client closed the review request');
+            abortController.abort();
+        }
+    });
+
+    try {
+        const review = await reviewGame(advisor, req.game, {
+            onUsage: usage => recordUsage(req, usage),
+            log: req.log,
+            signal: abortController.signal
+        });
         const processingTime = Date.now() - startTime;
-        console.log(`Request processed in ${processingTime}ms`);
-        console.log('OpenAI response:', completion.choices[0].message.content.trim());
+        req.log.debug('Review processed', { plies: review.moves.length, processingTime });
 
-        res.json({
-            suggestion: completion.choices[0].message.content.trim(),
-            remainingRequests: await getRemainingRequests(req.ip),
+        res.json(Object.assign(review, {
+            remainingRequests: getRemainingRequests(req),
+            tier: req.quota.tier,
             processingTime
-        });
+        }));
     } catch (error) {
-        console.error('Error generating move suggestion:', error);
-        res.status(500).json({ 
-            error: 'Failed to generate move suggestion', 
+        // A cancelled review's client is gone
+        if (abortController.signal.aborted) return;
+        const failure = getProviderFailure(error);
+        if (failure) {
+            req.log.warn('Analysis provider unavailable', { code: error.code, error: error.message });
+            return sendProviderFailure(res, failure);
+        }
+        req.log.error('Error reviewing game', { error });
+        res.status(500).json({
+            error: 'Failed to review game',
             details: isProduction ? 'Internal server error' : error.message
         });
     }
 });
 
-// Helper function to get remaining requests
-async function getRemainingRequests(userId) {
+// Quota status for the caller, without charging anything
+app.get('/quota', requireClientToken, async (req, res) => {
     try {
-        const rateLimiterRes = await rateLimiter.get(userId);
-        return rateLimiterRes ? Math.max(0, 10 - rateLimiterRes.consumedPoints) : 10;
+        const status = await quota.status(getQuotaKey(req));
+        res.json({
+            tier: status.tier,
+            limit: formatRemaining(status.limit),
+            remainingRequests: formatRemaining(status.remaining),
+            resetAt: new Date(status.resetAt).toISOString()
+        });
     } catch (error) {
-        console.error('Error getting remaining requests:', error);
-        return 0;
+        req.log.error('Error reading quota', { error });
+        res.status(500).json({ error: 'Quota service unavailable' });
+    }
+});
+
+// Usage metrics (see metrics.js). With METRICS_TOKEN set it must be sent as a
+// bearer token; without one the endpoint is only served outside production.
+app.get('/metrics', (req, res) => {
+    if (metricsConfig.token) {
+        const expected = Buffer.from(`Bearer ${metricsConfig.token}`);
+        const given = Buffer.from(req.get('Authorization') || '');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return res.status(401).json({ error: 'A valid metrics token is required' });
+        }
+    } else if (isProduction) {
+        return res.status(404).json({ error: 'Not found' });
     }
+    res.json(metrics.snapshot());
+});
+
+// Count a provider call against the provider, model and the caller's tier
+function recordUsage(req, tokens) {
+    metrics.recordCompletion({
+        provider: provider.name,
+        model: provider.model,
+        tier: req.quota.tier,
+        userId: getQuotaKey(req),
+        tokens
+    });
 }
 
-// Error handling for uncaught exceptions
-process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
-    // In production, you might want to notify your error tracking service here
+// Helper function to get remaining requests from the status charged by the rate limiter
+function getRemainingRequests(req) {
+    return formatRemaining(req.quota.remaining);
+}
+
+// Flush persistent stores before exiting
+process.on('exit', () => {
+    quotaStore.close();
+    suggestionCache.close();
+    if (engine) engine.close();
 });
 
 // Start server
 const server = app.listen(port, '0.0.0.0', () => {
-    console.log(`Server running on port ${port}`);
-    console.log(`Environment: ${process.env.NODE_ENV}`);
-    console.log(`Production mode: ${isProduction}`);
+    logger.info('Server running', { port, environment: process.env.NODE_ENV, production: isProduction });
+});
+
+// Graceful shutdown: stop accepting connections and let the requests in
+// flight finish, then exit. Whatever is still running after
+// SHUTDOWN_TIMEOUT_MS is cut off.
+function shutdown(reason, exitCode = 0) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down', { reason, requestsInFlight });
+
+    const forceExit = setTimeout(() => {
+        logger.warn('Shutdown timed out, closing open requests', { requestsInFlight });
+        process.exit(exitCode);
+    }, shutdownTimeoutMs);
+    forceExit.unref();
+
+    server.close(() => {
+        logger.info('All requests finished');
+        process.exit(exitCode);
+    });
+    server.closeIdleConnections();
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => shutdown(signal));
+}
+
+// The process can't be trusted after an uncaught exception: finish what can
+// be finished and exit, so the platform restarts it
+process.on('uncaughtException', (error) => {
+    logger.error('Uncaught exception', { error });
+    shutdown('uncaughtException', 1);
 }); 
\ No newline at end of file
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+
+// How long writes are batched before the file is rewritten
+const FLUSH_DELAY_MS = 1000;
+
+// JSON file store: the memory store, loaded from and flushed to a single file.
+// Good enough for one server instance; use SQLite when several processes share data.
+function createFileStore({ filePath }) {
+    const store = createMemoryStore();
+    const now = Date.now();
+
+    if (fs.existsSync(filePath)) {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const [key, entry] of Object.entries(saved)) {
+            if (!entry.expiresAt || entry.expiresAt > now) {
+                store.entries.set(key, entry);
+            }
+        }
+    }
+
+    let flushTimer = null;
+
+    function flush() {
+        flushTimer = null;
+        const current = Date.now();
+        const data = {};
+        for (const [key, entry] of store.entries) {
+            if (!entry.expiresAt || entry.expiresAt > current) {
+                data[key] = entry;
+            }
+        }
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        // Write to a temporary file first so a crash never leaves half a file behind
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    function scheduleFlush() {
+        if (!flushTimer) {
+            flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+            flushTimer.unref();
+        }
+    }
+
+    return Object.assign({}, store, {
+        name: 'file',
+        async set(key, value, ttlMs) {
+            await store.set(key, value, ttlMs);
+            scheduleFlush();
+        },
+        async delete(key) {
+            await store.delete(key);
+            scheduleFlush();
+        },
+        async close() {
+            if (flushTimer) {
+                clearTimeout(flushTimer);
+                flush();
+            }
+        }
+    });
+}
+
+module.exports = {
+    createFileStore
+};
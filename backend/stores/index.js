@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+const { createSqliteStore } = require('./sqlite');
+
+// Default location for persistent stores, relative to the backend directory
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+const FILE_EXTENSIONS = { file: '.json', sqlite: '.db' };
+
+// Every store exposes async get(key), set(key, value, ttlMs), delete(key) and close().
+// Values must be JSON-serialisable; a ttlMs of 0 or undefined never expires.
+// Stores shared between processes also have charge(key, points, limit, fresh,
+// ttlMs), which adds `points` to the `used` count of the record under `key`
+// (starting from `fresh` when there is none) in one atomic step, unless that
+// would take it over `limit`. It resolves to { allowed, record }.
+// `name` picks the default file (data/<name>.json or data/<name>.db) when no
+// filePath is given.
+function createStore({ type = 'memory', filePath, name }) {
+    type = type.toLowerCase();
+    if (type === 'memory') {
+        return createMemoryStore();
+    }
+    if (!FILE_EXTENSIONS[type]) {
+        throw new Error(`Unknown store type: ${type}`);
+    }
+
+    const resolvedPath = filePath || path.join(DATA_DIR, `${name}${FILE_EXTENSIONS[type]}`);
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    return type === 'file'
+        ? createFileStore({ filePath: resolvedPath })
+        : createSqliteStore({ filePath: resolvedPath });
+}
+
+module.exports = {
+    createStore
+};
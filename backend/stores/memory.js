@@ -0,0 +1,29 @@
+// In-memory key/value store with per-entry expiry. Everything is lost on restart.
+function createMemoryStore() {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+        entries,
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async close() {}
+    };
+}
+
+module.exports = {
+    createMemoryStore
+};
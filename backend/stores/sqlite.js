@@ -0,0 +1,69 @@
+// SQLite key/value store. Needs the optional `better-sqlite3` dependency.
+function createSqliteStore({ filePath }) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The sqlite store needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`CREATE TABLE IF NOT EXISTS kv (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        expires_at INTEGER
+    )`);
+    db.prepare('DELETE FROM kv WHERE expires_at IS NOT NULL AND expires_at <= ?').run(Date.now());
+
+    const selectStmt = db.prepare('SELECT value, expires_at FROM kv WHERE key = ?');
+    const upsertStmt = db.prepare(`INSERT INTO kv (key, value, expires_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`);
+    const deleteStmt = db.prepare('DELETE FROM kv WHERE key = ?');
+    // Start a record unless a live one is there
+    const startStmt = db.prepare(`INSERT INTO kv (key, value, expires_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+        WHERE kv.expires_at IS NOT NULL AND kv.expires_at <= ?`);
+    // Charge a record only if it stays within the limit (a null limit has none)
+    const chargeStmt = db.prepare(`UPDATE kv SET value = json_set(value, '$.used', json_extract(value, '$.used') + ?)
+        WHERE key = ? AND (? IS NULL OR json_extract(value, '$.used') + ? <= ?)`);
+
+    // An immediate transaction takes the write lock up front, so other
+    // processes charging the same key wait for it
+    const charge = db.transaction((key, points, limit, fresh, ttlMs) => {
+        const now = Date.now();
+        startStmt.run(key, JSON.stringify(fresh), ttlMs ? now + ttlMs : null, now);
+        const boundLimit = Number.isFinite(limit) ? limit : null;
+        const allowed = chargeStmt.run(points, key, boundLimit, points, boundLimit).changes === 1;
+        return { allowed, record: JSON.parse(selectStmt.get(key).value) };
+    });
+
+    return {
+        name: 'sqlite',
+        async get(key) {
+            const row = selectStmt.get(key);
+            if (!row) return undefined;
+            if (row.expires_at && row.expires_at <= Date.now()) {
+                deleteStmt.run(key);
+                return undefined;
+            }
+            return JSON.parse(row.value);
+        },
+        async set(key, value, ttlMs) {
+            upsertStmt.run(key, JSON.stringify(value), ttlMs ? Date.now() + ttlMs : null);
+        },
+        async delete(key) {
+            deleteStmt.run(key);
+        },
+        async charge(key, points, limit, fresh, ttlMs) {
+            return charge.immediate(key, points, limit, fresh, ttlMs);
+        },
+        async close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = {
+    createSqliteStore
+};
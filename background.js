@@ -0,0 +1,315 @@
+// Service worker - owns all communication with the analysis backend, so every
+// chess.com tab shares one health check, one retry policy and one configuration.
+importScripts('settings.js', 'training.js');
+
+const HEALTH_CHECK_ALARM = 'health-check';
+const HEALTH_CHECK_MINUTES = 1;
+
+// Retries for network failures and gateway errors (e.g. a Render cold start)
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRYABLE_STATUSES = [503, 504];
+
+const CONNECTION_ERROR = 'Cannot connect to analysis server. Please check your internet connection.';
+
+// Client tokens are renewed once they have less than this left
+const TOKEN_RENEW_MARGIN_MS = 5 * 60 * 1000;
+
+let backendStatus = { connected: false, checkedAt: null, error: null };
+
+function debugLog(...args) {
+    getSettings().then(({ debug }) => {
+        if (debug) {
+            console.log('[Chess GPT]', ...args);
+        }
+    });
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getRequestHeaders(token) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Client-Version': chrome.runtime.getManifest().version
+    };
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+    return headers;
+}
+
+// One registration or refresh at a time, shared by the requests waiting for it
+let credentialsRequest = null;
+
+// The client token for the backend: registered on first use and refreshed
+// before it expires. `renew` gets a new one even if it looks current, e.g.
+// after the server refused it.
+function getClientToken({ renew = false } = {}) {
+    if (!credentialsRequest) {
+        credentialsRequest = loadClientToken(renew).finally(() => {
+            credentialsRequest = null;
+        });
+    }
+    return credentialsRequest;
+}
+
+async function loadClientToken(renew) {
+    const { backendUrl, clientToken, clientTokenExpiresAt } = await getSettings();
+    if (clientToken && !renew && clientTokenExpiresAt - Date.now() > TOKEN_RENEW_MARGIN_MS) {
+        return clientToken;
+    }
+
+    let response = null;
+    if (clientToken) {
+        response = await fetchWithRetry(`${backendUrl}/auth/refresh`, {
+            method: 'POST',
+            headers: getRequestHeaders(clientToken)
+        });
+    }
+    // No token, or one the server won't refresh (e.g. issued by another backend)
+    if (!response || response.status === 401) {
+        debugLog('Registering with the backend');
+        response = await fetchWithRetry(`${backendUrl}/auth/register`, {
+            method: 'POST',
+            headers: getRequestHeaders()
+        });
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw Object.assign(new Error(data.error || 'Could not register with the analysis server'), {
+            status: response.status,
+            code: data.code,
+            retryAfter: data.retryAfter
+        });
+    }
+    await saveSettings({
+        clientId: data.clientId,
+        clientToken: data.token,
+        clientTokenExpiresAt: Date.parse(data.expiresAt)
+    });
+    return data.token;
+}
+
+// POST JSON to the backend with the client token. A token the server refuses
+// is renewed and the request sent once more.
+async function postToBackend(path, body, signal) {
+    const { backendUrl } = await getSettings();
+    const send = async token => fetchWithRetry(`${backendUrl}${path}`, {
+        method: 'POST',
+        headers: getRequestHeaders(token),
+        body: JSON.stringify(body),
+        signal
+    });
+
+    const response = await send(await getClientToken());
+    if (response.status !== 401) {
+        return response;
+    }
+    debugLog('Client token refused, renewing it');
+    return send(await getClientToken({ renew: true }));
+}
+
+// fetch() with exponential backoff. Aborted requests are never retried, nor
+// are answers with a Retry-After: the server has said when to come back.
+async function fetchWithRetry(url, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await fetch(url, options);
+            if (!RETRYABLE_STATUSES.includes(response.status) || response.headers.has('Retry-After') || attempt >= MAX_RETRIES) {
+                return response;
+            }
+            debugLog(`Backend answered ${response.status}, retrying...`);
+        } catch (error) {
+            if (error.name === 'AbortError' || attempt >= MAX_RETRIES) {
+                throw error;
+            }
+            debugLog('Backend request failed, retrying...', error.message);
+        }
+        await delay(RETRY_BASE_DELAY_MS * 2 ** attempt);
+    }
+}
+
+// Tell every sidebar when the connection state changes
+function setBackendStatus(connected, error = null) {
+    const changed = connected !== backendStatus.connected;
+    backendStatus = { connected, checkedAt: Date.now(), error };
+    if (changed) {
+        chrome.runtime.sendMessage({ type: 'BACKEND_STATUS', connected, error }).catch(() => {});
+    }
+}
+
+async function checkBackendConnection() {
+    const { backendUrl } = await getSettings();
+    try {
+        const response = await fetchWithRetry(`${backendUrl}/health`);
+        if (!response.ok) {
+            throw new Error(`Backend health check failed (${response.status})`);
+        }
+        debugLog('Backend connection established');
+        setBackendStatus(true);
+    } catch (error) {
+        debugLog('Backend connection failed:', error.message);
+        setBackendStatus(false, CONNECTION_ERROR);
+    }
+    return backendStatus;
+}
+
+// Read Server-Sent Events from a fetch response, calling onEvent(name, data)
+// for each event as it arrives
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            let data = '';
+            for (const line of block.split('\n')) {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data += line.slice(5).trim();
+                }
+            }
+            if (data) {
+                onEvent(event, JSON.parse(data));
+            }
+        }
+    }
+}
+
+// Stream a suggestion to a content script port as { event, data } messages.
+// The content script disconnects the port to cancel.
+async function streamSuggestion(body, port, signal) {
+    const send = (event, data) => {
+        if (!signal.aborted) {
+            port.postMessage({ event, data });
+        }
+    };
+
+    try {
+        if (!backendStatus.connected && !(await checkBackendConnection()).connected) {
+            send('error', { error: CONNECTION_ERROR, code: 'BACKEND_UNREACHABLE' });
+            return;
+        }
+
+        const response = await postToBackend('/suggest-move/stream', body, signal);
+
+        // The server's ID for this request, for matching errors to its logs
+        const requestId = response.headers.get('X-Request-Id');
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            send('error', Object.assign({ status: response.status, requestId }, errorData));
+            return;
+        }
+
+        await readEventStream(response, (event, data) => {
+            send(event, event === 'error' ? Object.assign({ requestId }, data) : data);
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            debugLog('Suggestion request cancelled');
+            return;
+        }
+        // Refused by the server while getting a token, e.g. an outdated build
+        if (error.status) {
+            send('error', { status: error.status, code: error.code, retryAfter: error.retryAfter, error: error.message });
+            return;
+        }
+        setBackendStatus(false, CONNECTION_ERROR);
+        send('error', { error: CONNECTION_ERROR, code: 'BACKEND_UNREACHABLE' });
+    } finally {
+        if (!signal.aborted) {
+            port.disconnect();
+        }
+    }
+}
+
+// One-shot JSON request; resolves to { ok, status, data, requestId } or { ok: false, error }
+async function postJson(path, body) {
+    try {
+        const response = await postToBackend(path, body);
+        const data = await response.json().catch(() => ({}));
+        return { ok: response.ok, status: response.status, data, requestId: response.headers.get('X-Request-Id') };
+    } catch (error) {
+        if (error.status) {
+            return { ok: false, status: error.status, data: { error: error.message, code: error.code, retryAfter: error.retryAfter } };
+        }
+        setBackendStatus(false, CONNECTION_ERROR);
+        return { ok: false, error: CONNECTION_ERROR };
+    }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'suggest-move') return;
+
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+    port.onMessage.addListener((body) => streamSuggestion(body, port, controller.signal));
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'REQUEST_REVIEW') {
+        postJson('/review-game', { pgn: message.pgn, context: message.context }).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'RECORD_GUESS') {
+        // Content scripts can't reach chrome.storage.session, so the score is kept here
+        recordGuess(message.verdict).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'GET_BACKEND_STATUS') {
+        const status = backendStatus.checkedAt ? Promise.resolve(backendStatus) : checkBackendConnection();
+        status.then(sendResponse);
+        return true;
+    }
+    return false;
+});
+
+// Keyboard shortcut (see "commands" in manifest.json) - the content script of
+// the active tab knows the position
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (command === 'analyze-position' && tab && tab.id !== undefined) {
+        chrome.tabs.sendMessage(tab.id, { type: 'ANALYZE_POSITION' }).catch(() => {
+            debugLog('No chess board in the active tab');
+        });
+    }
+});
+
+// Poll the backend while it is unreachable; once connected, failed requests
+// mark it unreachable again
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === HEALTH_CHECK_ALARM && !backendStatus.connected) {
+        checkBackendConnection();
+    }
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.alarms.create(HEALTH_CHECK_ALARM, { periodInMinutes: HEALTH_CHECK_MINUTES });
+    checkBackendConnection();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    checkBackendConnection();
+});
+
+// A new backend URL needs a fresh health check, and a client ID from that backend
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.backendUrl) {
+        backendStatus = { connected: false, checkedAt: null, error: null };
+        saveSettings({ clientId: '', clientToken: '', clientTokenExpiresAt: 0 });
+        checkBackendConnection();
+    }
+});
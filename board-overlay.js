@@ -0,0 +1,156 @@
+// Board overlay - draws the suggested move as an arrow on the board.
+// Loaded before content.js, which calls drawSuggestionArrow() and clearBoardOverlay().
+// The board element and its orientation come from the site adapter.
+
+const OVERLAY_ID = 'chess-gpt-advisor-overlay';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const ARROW_COLOR = 'rgba(21, 120, 27, 0.8)';
+const ALTERNATIVE_COLOR = 'rgba(255, 170, 0, 0.45)';
+
+// What is currently drawn, so the overlay can be redrawn when the board flips
+let overlayState = null;
+let boardClassObserver = null;
+
+function getBoardElement() {
+    const adapter = getSiteAdapter();
+    return adapter ? adapter.getBoardElement() : null;
+}
+
+function isBoardFlipped() {
+    return getSiteAdapter().getOrientation() === 'black';
+}
+
+// Centre of a square in the overlay's 0..100 viewBox
+function squareCenter(square, flipped) {
+    const file = 'abcdefgh'.indexOf(square[0]);
+    const rank = Number(square[1]) - 1;
+    const column = flipped ? 7 - file : file;
+    const row = flipped ? rank : 7 - rank;
+    return { x: column * 12.5 + 6.25, y: row * 12.5 + 6.25 };
+}
+
+// The overlay lives inside the board element and is sized in percent, so it
+// follows the board through resizes without any measuring.
+function getOverlay(board) {
+    let svg = board.querySelector(`#${OVERLAY_ID}`);
+    if (svg) return svg;
+
+    svg = document.createElementNS(SVG_NS, 'svg');
+    svg.id = OVERLAY_ID;
+    svg.setAttribute('viewBox', '0 0 100 100');
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.style.cssText = `
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        pointer-events: none;
+        z-index: 10;
+    `;
+
+    const marker = document.createElementNS(SVG_NS, 'marker');
+    marker.id = `${OVERLAY_ID}-head`;
+    marker.setAttribute('viewBox', '0 0 10 10');
+    marker.setAttribute('refX', '5');
+    marker.setAttribute('refY', '5');
+    marker.setAttribute('markerWidth', '2.2');
+    marker.setAttribute('markerHeight', '2.2');
+    marker.setAttribute('orient', 'auto');
+    const head = document.createElementNS(SVG_NS, 'path');
+    head.setAttribute('d', 'M 0 0 L 10 5 L 0 10 z');
+    head.setAttribute('fill', ARROW_COLOR);
+    marker.appendChild(head);
+
+    const defs = document.createElementNS(SVG_NS, 'defs');
+    defs.appendChild(marker);
+    svg.appendChild(defs);
+
+    board.appendChild(svg);
+    return svg;
+}
+
+function drawHighlight(svg, square, flipped, color) {
+    const { x, y } = squareCenter(square, flipped);
+    const rect = document.createElementNS(SVG_NS, 'rect');
+    rect.setAttribute('x', x - 6.25);
+    rect.setAttribute('y', y - 6.25);
+    rect.setAttribute('width', 12.5);
+    rect.setAttribute('height', 12.5);
+    rect.setAttribute('fill', color);
+    svg.appendChild(rect);
+}
+
+function drawArrow(svg, from, to, flipped) {
+    const start = squareCenter(from, flipped);
+    const end = squareCenter(to, flipped);
+
+    // Stop short of the centre so the head doesn't cover the destination piece
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = Math.hypot(dx, dy);
+    const shorten = 3.5;
+
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('x1', start.x);
+    line.setAttribute('y1', start.y);
+    line.setAttribute('x2', end.x - (dx / length) * shorten);
+    line.setAttribute('y2', end.y - (dy / length) * shorten);
+    line.setAttribute('stroke', ARROW_COLOR);
+    line.setAttribute('stroke-width', '2.2');
+    line.setAttribute('stroke-linecap', 'round');
+    line.setAttribute('marker-end', `url(#${OVERLAY_ID}-head)`);
+    svg.appendChild(line);
+}
+
+function renderOverlay() {
+    const board = getBoardElement();
+    if (!board || !overlayState) return;
+
+    const svg = getOverlay(board);
+    svg.querySelectorAll('line, rect').forEach(node => node.remove());
+
+    const flipped = isBoardFlipped();
+    for (const alternative of overlayState.alternatives) {
+        drawHighlight(svg, alternative.from, flipped, ALTERNATIVE_COLOR);
+        drawHighlight(svg, alternative.to, flipped, ALTERNATIVE_COLOR);
+    }
+    // In Chess960 the king may stay put when castling; then the rook's move is shown
+    const move = overlayState.move;
+    if (move.castle && move.from === move.to) {
+        drawArrow(svg, move.rookFrom, move.rookTo, flipped);
+    } else {
+        drawArrow(svg, move.from, move.to, flipped);
+    }
+}
+
+// Redraw when the board flips. Sites mark the orientation with a class on the
+// board (chess.com) or on its wrapper (lichess).
+function watchBoardOrientation(board) {
+    if (boardClassObserver) return;
+    boardClassObserver = new MutationObserver(renderOverlay);
+    for (const element of [board, board.parentElement]) {
+        if (element) {
+            boardClassObserver.observe(element, { attributes: true, attributeFilter: ['class'] });
+        }
+    }
+}
+
+// Draw an arrow for `move` ({ from, to }) and, optionally, highlight the
+// squares of alternative candidate moves
+function drawSuggestionArrow(move, alternatives = []) {
+    const board = getBoardElement();
+    if (!board || !move || !move.from || !move.to) return;
+
+    overlayState = { move, alternatives };
+    watchBoardOrientation(board);
+    renderOverlay();
+}
+
+function clearBoardOverlay() {
+    overlayState = null;
+    const overlay = document.getElementById(OVERLAY_ID);
+    if (overlay) {
+        overlay.remove();
+    }
+}
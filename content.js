@@ -19,27 +19,54 @@ function injectSidebar() {
 injectSidebar();
 
 // Track game state
-let lastMoves = null;
+let lastPositionKey = null;
 let moveCount = 0;
 let isWhiteTurn = true;
-let isAnalyzing = false;
+let analysisController = null;
+let analysisFen = null;
+let autoAnalysisTimer = null;
+let isReviewing = false;
+let verbosity = 'move';
+let lastGameState = null;
 
-// Backend URL configuration
-const BACKEND_URL = 'https://chess-gpt-advisor.onrender.com/suggest-move';
+// "Guess the move" training (training.js), switched on from the sidebar. The
+// suggestion waiting for the user's guess is kept with the position it is for.
+let trainingMode = false;
+let pendingGuess = null;
+
+// Settings from the options page (settings.js), kept current as they change
+let settings = Object.assign({}, DEFAULT_SETTINGS);
+
+// In auto mode, wait for the position to settle (e.g. premoves, clicking
+// through a game in analysis) before spending a request on it
+const AUTO_ANALYSIS_DELAY_MS = 1500;
 
 // Add error tracking
 let consecutiveErrors = 0;
 const MAX_CONSECUTIVE_ERRORS = 3;
 
-// Add connection state tracking
-let isBackendConnected = false;
-let connectionCheckInterval;
+// After a rate limit or an outage no requests are sent until `until`;
+// `reason` is shown to anyone asking in the meantime. After an outage
+// (`retry`) the position on the board is analysed once the pause is over.
+let analysisPause = null;
+
+// How long to wait after an outage when the server doesn't say
+const OUTAGE_RETRY_SECONDS = 30;
 
 // Chess utility functions
-const STARTING_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const STARTING_FEN = ChessRules.STARTING_FEN;
+
+// Suggestions are only ever offered in these contexts (see PAGE_CONTEXTS in sites/site-adapter.js)
+const SUGGESTION_CONTEXTS = [PAGE_CONTEXTS.BOT, PAGE_CONTEXTS.ANALYSIS, PAGE_CONTEXTS.FINISHED];
 
-// Debug configuration
-const DEBUG = true;
+// Tactical alerts (tactics.js) are shown on the analysis board and when reviewing finished games
+const TACTICS_CONTEXTS = [PAGE_CONTEXTS.ANALYSIS, PAGE_CONTEXTS.FINISHED];
+
+// Everything site-specific goes through the adapter for this page
+const siteAdapter = getSiteAdapter();
+
+// Debug configuration, switched on from the options page
+let DEBUG = DEFAULT_SETTINGS.debug;
 
 function debugLog(...args) {
     if (DEBUG) {
@@ -63,13 +90,13 @@ function debugError(...args) {
 async function testBoardDetection() {
     debugLog('Starting board detection test...');
     
-    // Test 1: Check if we're on chess.com
-    debugLog('Test 1: Checking if we are on chess.com...');
-    if (!window.location.hostname.includes('chess.com')) {
-        debugError('Test 1 Failed: Not on chess.com');
+    // Test 1: Check that this is a supported site
+    debugLog('Test 1: Checking for a supported site...');
+    if (!siteAdapter) {
+        debugError('Test 1 Failed: No site adapter for', window.location.hostname);
         return;
     }
-    debugLog('Test 1 Passed: On chess.com');
+    debugLog('Test 1 Passed: On', siteAdapter.name);
 
     // Test 2: Check game detection
     debugLog('Test 2: Checking game detection...');
@@ -78,34 +105,19 @@ async function testBoardDetection() {
     
     // Test 3: Try board position detection
     debugLog('Test 3: Attempting to get board position...');
-    const fen = getCurrentFEN();
-    if (fen) {
-        debugLog('Test 3: Got FEN position:', fen);
-        debugLog('Test 3: Validating FEN...');
-        if (isValidFEN(fen)) {
-            debugLog('Test 3 Passed: Valid FEN obtained');
-        } else {
-            debugError('Test 3 Failed: Invalid FEN format:', fen);
-        }
+    const current = getCurrentPosition();
+    if (current.fen) {
+        debugLog('Test 3 Passed: Got FEN position:', current.fen);
     } else {
-        debugError('Test 3 Failed: Could not get board position');
+        debugError('Test 3 Failed:', current.error);
     }
 
-    // Test 4: Check all DOM elements we depend on
+    // Test 4: Check all DOM elements the adapter depends on
     debugLog('Test 4: Checking required DOM elements...');
-    const elements = {
-        'wc-chess-board': document.querySelector('wc-chess-board'),
-        'chess-board': document.querySelector('chess-board'),
-        '.board': document.querySelector('.board'),
-        '.move-list': document.querySelector('.move-list'),
-        '.game-controls': document.querySelector('.game-controls'),
-        '.player-row': document.querySelector('.player-row'),
-        '.clock-component': document.querySelector('.clock-component')
-    };
-
-    for (const [selector, element] of Object.entries(elements)) {
-        debugLog(`- ${selector}: ${element ? 'Found' : 'Not found'}`);
+    for (const [name, selector] of Object.entries(siteAdapter.selectors)) {
+        debugLog(`- ${name} (${selector}): ${document.querySelector(selector) ? 'Found' : 'Not found'}`);
     }
+    debugLog('Board orientation:', siteAdapter.getOrientation());
 }
 
 // Run tests when the page is ready
@@ -113,7 +125,7 @@ let testInterval;
 function startTests() {
     debugLog('Waiting for page to be ready...');
     testInterval = setInterval(() => {
-        if (document.querySelector('chess-board') || document.querySelector('wc-chess-board')) {
+        if (siteAdapter && siteAdapter.hasBoard()) {
             clearInterval(testInterval);
             debugLog('Chess board found, starting tests...');
             testBoardDetection();
@@ -134,121 +146,63 @@ debugLog('Initializing Chess GPT Advisor...');
 injectSidebar();
 startTests();
 
-// Validate FEN string format
+// Validate FEN string format and the position it describes
 function isValidFEN(fen) {
-    if (!fen || typeof fen !== 'string') return false;
-    
-    // Basic FEN format: 8 ranks separated by /, followed by turn, castling, en passant, and move counts
-    const fenParts = fen.split(' ');
-    if (fenParts.length !== 6) return false;
-    
-    const [position, turn, castling, enPassant, halfMove, fullMove] = fenParts;
-    
-    // Validate position
-    const ranks = position.split('/');
-    if (ranks.length !== 8) return false;
-    
-    for (const rank of ranks) {
-        let sum = 0;
-        for (const char of rank) {
-            if ('12345678'.includes(char)) {
-                sum += parseInt(char);
-            } else if ('pnbrqkPNBRQK'.includes(char)) {
-                sum += 1;
-            } else {
-                return false;
-            }
-        }
-        if (sum !== 8) return false;
-    }
-    
-    // Validate other parts
-    if (!'wb'.includes(turn)) return false;
-    if (!castling.match(/^-|[KQkq]+$/)) return false;
-    if (!enPassant.match(/^(-|[a-h][36])$/)) return false;
-    if (!halfMove.match(/^\d+$/)) return false;
-    if (!fullMove.match(/^\d+$/)) return false;
-    
-    return true;
+    return ChessRules.validateFen(fen).valid;
 }
 
-// Function to get FEN notation from the board
-function getCurrentFEN() {
-    console.log("Attempting to get FEN notation...");
-    
-    // Method 1: Try to get from the game interface (most common)
-    const gameInterface = document.querySelector('wc-chess-board');
-    if (gameInterface) {
-        console.log("Found game interface");
-        const position = gameInterface.getAttribute('position');
-        if (position && isValidFEN(position)) {
-            console.log("Found valid position from game interface:", position);
-            return position;
-        }
+// Function to replay SAN moves from the initial position.
+// Returns { fen, moves } or { error } naming the move that could not be replayed.
+function reconstructPosition(sanMoves, startFen = STARTING_FEN) {
+    try {
+        const { position, plies } = ChessRules.replaySan(startFen, sanMoves);
+        return { fen: ChessRules.toFen(position), moves: plies.map(ply => ply.move.san) };
+    } catch (error) {
+        return { error: error.message };
     }
+}
 
-    // Method 2: Try chess.com's board element
-    const chessBoard = document.querySelector('chess-board');
-    if (chessBoard) {
-        console.log("Found chess-board element");
-        // Try all possible attribute names
-        const possibleAttrs = ['fen', 'position', 'data-fen', 'data-position'];
-        for (const attr of possibleAttrs) {
-            const value = chessBoard.getAttribute(attr);
-            if (value && isValidFEN(value)) {
-                console.log(`Found valid position from attribute ${attr}:`, value);
-                return value;
-            }
-        }
-        
-        // Try accessing the board's state through the game object
-        if (window.game && window.game.getFen) {
-            try {
-                const fen = window.game.getFen();
-                if (isValidFEN(fen)) {
-                    console.log("Found valid position from game object:", fen);
-                    return fen;
-                }
-            } catch (e) {
-                console.warn("Error accessing game object:", e);
-            }
+// Function to get the current position.
+// Returns { fen, moves } or { error } - it never falls back to a guessed position.
+function getCurrentPosition() {
+    const moveList = readReplayableMoveList();
+    if (moveList) {
+        const position = reconstructPosition(moveList.moves, moveList.startFen || STARTING_FEN);
+        if (!position.error) {
+            return position;
         }
     }
 
-    // Method 3: Try to get from the game container
-    const gameContainer = document.querySelector('.board-layout-main');
-    if (gameContainer) {
-        const boardContainer = gameContainer.querySelector('.board-container');
-        if (boardContainer) {
-            const dataPosition = boardContainer.getAttribute('data-board-position');
-            if (dataPosition && isValidFEN(dataPosition)) {
-                console.log("Found valid position from board container:", dataPosition);
-                return dataPosition;
-            }
-        }
+    const fen = siteAdapter.readPosition();
+    if (fen) {
+        return { fen, moves: [] };
     }
+    return { error: 'Could not find the move list or a board position on this page.' };
+}
 
-    // Method 4: Check if we're in analysis mode
-    const analysisBoard = document.querySelector('.analysis-board');
-    if (analysisBoard) {
-        const boardElement = analysisBoard.querySelector('.board');
-        if (boardElement) {
-            const fen = boardElement.getAttribute('data-fen');
-            if (fen && isValidFEN(fen)) {
-                console.log("Found valid position from analysis board:", fen);
-                return fen;
-            }
-        }
+// Function to read the move list when its moves can be replayed: Chess960
+// moves only from the start position the page gives, as replaying them from
+// the standard one could give a wrong position that happens to be legal
+function readReplayableMoveList() {
+    const moveList = siteAdapter.readMoveList();
+    if (moveList && siteAdapter.isChess960() && !moveList.startFen) {
+        return null;
     }
+    return moveList;
+}
 
-    // If we're in a game but can't get the position, return starting position
-    if (isInActiveGame()) {
-        console.warn("Could not detect current position, using starting position");
-        return STARTING_FEN;
+// Function to check the fair-play guard and tell the sidebar when it blocks suggestions
+function isSuggestionAllowed(pageContext) {
+    if (SUGGESTION_CONTEXTS.includes(pageContext.context)) {
+        return true;
     }
-
-    console.error("Could not find board position");
-    return null;
+    debugWarn("Suggestions blocked:", pageContext.context);
+    chrome.runtime.sendMessage({
+        type: 'FAIR_PLAY',
+        context: pageContext.context,
+        reason: pageContext.reason
+    });
+    return false;
 }
 
 // Function to check if we're in a game with retry
@@ -256,23 +210,7 @@ function isInActiveGame(retryCount = 0) {
     const MAX_RETRIES = 3;
     const RETRY_DELAY = 1000; // 1 second
 
-    const gameIndicators = [
-        // URL check
-        () => window.location.pathname.includes('/game/'),
-        // Game interface elements
-        () => Boolean(document.querySelector('wc-chess-board')),
-        () => Boolean(document.querySelector('chess-board')),
-        () => Boolean(document.querySelector('.board')),
-        () => Boolean(document.querySelector('.move-list')),
-        // Game controls
-        () => Boolean(document.querySelector('.game-controls')),
-        // Player information
-        () => Boolean(document.querySelector('.player-row')),
-        // Clock elements
-        () => Boolean(document.querySelector('.clock-component'))
-    ];
-
-    const isInGame = gameIndicators.some(check => check());
+    const isInGame = siteAdapter.hasBoard();
     
     if (!isInGame && retryCount < MAX_RETRIES) {
         console.log(`Game elements not found, retrying in ${RETRY_DELAY}ms... (attempt ${retryCount + 1}/${MAX_RETRIES})`);
@@ -286,46 +224,104 @@ function isInActiveGame(retryCount = 0) {
     return isInGame;
 }
 
-// Function to check backend connection
-async function checkBackendConnection() {
-    try {
-        const response = await fetch(BACKEND_URL.replace('/suggest-move', '/health'), {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json'
+// Function to load the settings and follow changes made on the options page
+async function loadSettings() {
+    settings = await getSettings();
+    DEBUG = settings.debug;
+    debugLog("Settings loaded:", settings);
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    for (const [key, { newValue }] of Object.entries(changes)) {
+        if (key in DEFAULT_SETTINGS) {
+            settings[key] = newValue;
+        }
+    }
+    DEBUG = settings.debug;
+});
+
+// Function to stream a suggestion through the service worker, which owns the
+// backend connection. Progress events go to onEvent; resolves with the final
+// payload. Aborting the signal disconnects the port and cancels the request.
+function requestSuggestion(body, onEvent, signal) {
+    return new Promise((resolve, reject) => {
+        const port = chrome.runtime.connect({ name: 'suggest-move' });
+        let settled = false;
+        const settle = (callback, value) => {
+            if (!settled) {
+                settled = true;
+                callback(value);
             }
+        };
+
+        signal.addEventListener('abort', () => {
+            port.disconnect();
+            settle(reject, new DOMException('Analysis cancelled', 'AbortError'));
         });
-        
-        if (response.ok) {
-            debugLog('Backend connection established');
-            isBackendConnected = true;
-            if (connectionCheckInterval) {
-                clearInterval(connectionCheckInterval);
-                connectionCheckInterval = null;
+        port.onMessage.addListener(({ event, data }) => {
+            if (event === 'final') {
+                settle(resolve, data);
+            } else if (event === 'error') {
+                const error = new Error(data.error || 'Analysis service unavailable');
+                error.status = data.status;
+                error.code = data.code;
+                error.details = data.details;
+                error.retryAfter = data.retryAfter;
+                error.requestId = data.requestId;
+                settle(reject, error);
+            } else {
+                onEvent(event, data);
             }
-        } else {
-            throw new Error('Backend health check failed');
-        }
-    } catch (error) {
-        debugError('Backend connection failed:', error.message);
-        isBackendConnected = false;
-        
-        // Show connection error in sidebar
-        chrome.runtime.sendMessage({
-            type: 'ERROR',
-            error: 'Cannot connect to analysis server. Please check your internet connection.'
         });
+        port.onDisconnect.addListener(() => {
+            settle(reject, Object.assign(new Error('Analysis service unavailable'), { code: 'BACKEND_UNREACHABLE' }));
+        });
+
+        port.postMessage(body);
+    });
+}
+
+// Function to cancel a scheduled or running analysis once the position has moved on
+function cancelAnalysis() {
+    if (autoAnalysisTimer) {
+        clearTimeout(autoAnalysisTimer);
+        autoAnalysisTimer = null;
+    }
+    if (analysisController) {
+        debugLog("Cancelling analysis of the previous position");
+        analysisController.abort();
+        analysisController = null;
+        analysisFen = null;
     }
 }
 
-// Start periodic connection checks
-checkBackendConnection(); // Initial check
-connectionCheckInterval = setInterval(checkBackendConnection, 30000); // Check every 30 seconds
+// Function to check whether suggestions may be drawn on the board: only in
+// analysis mode, and only while the position they are for is still on it
+function canDrawOnBoard(fen) {
+    return siteAdapter.detectPage(lastGameState).context === PAGE_CONTEXTS.ANALYSIS &&
+        lastGameState && lastGameState.fen === fen;
+}
 
 // Function to get analysis from backend
 async function getAnalysis(gameState) {
-    if (isAnalyzing) {
-        debugLog("Already analyzing, skipping...");
+    // Asking twice for the same position just waits for the running request
+    if (analysisController && gameState && analysisFen === gameState.fen) {
+        debugLog("Analysis of this position already running");
+        return;
+    }
+    cancelAnalysis();
+    const controller = new AbortController();
+
+    if (analysisPause && analysisPause.until > Date.now()) {
+        const waitMs = analysisPause.until - Date.now();
+        if (analysisPause.retry) {
+            retryAnalysisLater(gameState, waitMs);
+        }
+        chrome.runtime.sendMessage({
+            type: 'ERROR',
+            error: `${analysisPause.reason} ${analysisPause.retry ? 'Retrying' : 'Try again'} in ${formatWait(waitMs)}.`
+        });
         return;
     }
 
@@ -340,166 +336,439 @@ async function getAnalysis(gameState) {
             return;
         }
 
-        if (!isBackendConnected) {
-            debugError("Backend not connected");
-            chrome.runtime.sendMessage({
-                type: 'ERROR',
-                error: 'Cannot connect to analysis server. Please check your internet connection.'
-            });
+        const pageContext = siteAdapter.detectPage(gameState);
+        if (!isSuggestionAllowed(pageContext)) {
             return;
         }
 
-        isAnalyzing = true;
+        analysisController = controller;
+        analysisFen = gameState.fen;
         debugLog("Starting analysis...");
 
-        const fen = getCurrentFEN();
-        if (!fen) {
-            throw new Error('Could not detect the board position. Please make sure you are in an active game.');
+        if (gameState.error) {
+            throw Object.assign(new Error(gameState.error), { code: 'UNREADABLE_POSITION' });
         }
+        const fen = gameState.fen;
 
         debugLog("Sending request to backend:", {
             fen: fen,
             lastMove: gameState.lastMove
         });
 
-        const response = await fetch(BACKEND_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Client-Version': chrome.runtime.getManifest().version
-            },
-            body: JSON.stringify({
-                gameState: fen,
-                currentMove: gameState.lastMove
-            })
-        });
-
-        debugLog("Response status:", response.status);
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            debugError("Backend error:", errorData);
-            
-            // Handle rate limiting specifically
-            if (response.status === 429) {
-                throw new Error('Rate limit reached. Please wait before requesting more moves.');
-            }
-            
-            throw new Error(errorData.error || 'Analysis service unavailable');
-        }
+        chrome.runtime.sendMessage({ type: 'PROGRESS', stage: 'connecting' });
+
+        // Relay progress to the sidebar as the server streams it
+        const data = await requestSuggestion({
+            gameState: fen,
+            currentMove: gameState.lastMove,
+            context: pageContext.context,
+            verbosity,
+            source: settings.suggestionSource,
+            candidates: settings.candidates,
+            opening: gameState.book ? gameState.book.opening : null,
+            variant: gameState.chess960 ? 'chess960' : 'standard'
+        }, (event, payload) => {
+            // In training mode nothing that gives the move away is shown early
+            if (trainingMode && (event === 'partial' || event === 'evaluation')) return;
+            chrome.runtime.sendMessage(Object.assign({ type: 'PROGRESS', stage: event }, payload));
+        }, controller.signal);
 
-        const data = await response.json();
         debugLog("Received analysis:", data);
         
         // Reset error counter on success
         consecutiveErrors = 0;
-        isBackendConnected = true;
+        analysisPause = null;
         
-        // Update the UI with the suggestion
-        chrome.runtime.sendMessage({
-            type: 'SUGGESTION',
+        const analysis = {
+            gameState,
+            data,
             suggestion: {
                 move: data.suggestion,
+                explanation: data.explanation,
+                legal: data.legal,
+                evaluation: data.evaluation || null,
+                candidates: data.candidates || null,
+                book: Boolean(data.book),
+                fen,
+                orientation: siteAdapter.getOrientation(),
+                cacheHit: data.cacheHit,
                 remainingRequests: data.remainingRequests
             }
-        });
+        };
+
+        if (trainingMode) {
+            // Hold the suggestion back until the user has played their guess
+            pendingGuess = analysis;
+            chrome.runtime.sendMessage({ type: 'TRAINING', stage: 'guess', remainingRequests: data.remainingRequests });
+        } else {
+            showSuggestion(analysis);
+        }
 
     } catch (error) {
-        debugError("Error getting analysis:", error);
-        
-        // Check if it's a connection error
-        if (error.message.includes('Failed to fetch')) {
-            isBackendConnected = false;
-            error.message = 'Cannot connect to analysis server. Please check your internet connection.';
+        if (error.name === 'AbortError') {
+            debugLog("Analysis cancelled");
+            return;
         }
-        
-        // Increment error counter
-        consecutiveErrors++;
-        
-        // If we've had too many errors, suggest refresh
-        const errorMessage = consecutiveErrors >= MAX_CONSECUTIVE_ERRORS
-            ? `${error.message} Try refreshing the page if this persists.`
-            : error.message;
-            
+        debugError("Error getting analysis:", error, error.requestId ? `(request ${error.requestId})` : '');
+
+        let errorMessage;
+        const kind = classifyAnalysisError(error);
+        if (kind === 'rate-limit') {
+            // Nothing to do but wait for the quota to reset
+            const waitMs = (error.retryAfter || 60) * 1000;
+            analysisPause = { until: Date.now() + waitMs, reason: 'Rate limit reached.' };
+            errorMessage = `Rate limit reached. More suggestions in ${formatWait(waitMs)}.`;
+        } else if (kind === 'outage') {
+            // The same position is tried again once the service should be back
+            const waitMs = (error.retryAfter || OUTAGE_RETRY_SECONDS) * 1000;
+            analysisPause = { until: Date.now() + waitMs, reason: 'The analysis service is unavailable.', retry: true };
+            errorMessage = `${error.message} Retrying in ${formatWait(waitMs)}.`;
+            retryAnalysisLater(gameState, waitMs);
+        } else {
+            // A position the server refuses may have been misread from the page
+            consecutiveErrors++;
+            errorMessage = kind === 'bad-position' && error.details
+                ? `${error.message}: ${error.details}.`
+                : error.message;
+            if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+                errorMessage += ' Try refreshing the page if this persists.';
+            }
+        }
+
         chrome.runtime.sendMessage({
             type: 'ERROR',
             error: errorMessage
         });
     } finally {
-        isAnalyzing = false;
+        if (analysisController === controller) {
+            analysisController = null;
+            analysisFen = null;
+        }
+    }
+}
+
+// Function to sort a failed analysis by what can be done about it:
+// 'rate-limit' (wait for the quota), 'outage' (the server or its analysis
+// provider is down, so try again later), 'bad-position' (the server refused
+// the position read from the page) or 'other'
+function classifyAnalysisError(error) {
+    if (error.status === 429) return 'rate-limit';
+    if (error.status === 400 || error.status === 422 || error.code === 'UNREADABLE_POSITION') return 'bad-position';
+    if (error.status === 503 || error.status === 504 || error.code === 'BACKEND_UNREACHABLE') return 'outage';
+    if (error.code && error.code.startsWith('PROVIDER_')) return 'outage';
+    return 'other';
+}
+
+// Function to analyse a position again after an outage, if it is still on the board
+function retryAnalysisLater(gameState, waitMs) {
+    autoAnalysisTimer = setTimeout(() => {
+        autoAnalysisTimer = null;
+        if (lastGameState === gameState) {
+            debugLog("Retrying analysis after the outage");
+            getAnalysis(gameState);
+        }
+    }, waitMs);
+}
+
+// Function to format a wait for the sidebar, e.g. "30 seconds" or "2 hours"
+function formatWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 90) return `${seconds} seconds`;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 90) return `${minutes} minutes`;
+    return `${Math.round(minutes / 60)} hours`;
+}
+
+// Function to show a suggestion in the sidebar and the history, and draw it on
+// the board with the other candidates highlighted
+function showSuggestion({ gameState, data, suggestion }) {
+    chrome.runtime.sendMessage({ type: 'SUGGESTION', suggestion });
+    updateHistory(() => recordSuggestion(getGameKey(), gameState, data));
+
+    if (canDrawOnBoard(suggestion.fen)) {
+        drawSuggestionArrow(data.suggestion, (data.candidates || []).slice(1).map(candidate => candidate.move));
     }
 }
 
-// Function to format moves
-function formatGameState(moveText) {
-    console.log("Formatting game state from:", moveText);
-    const moves = moveText.trim().split(/\d+\./).filter(m => m.trim());
+// Function to score the move just played against the suggestion held back in
+// training mode, and reveal the suggestion. Moving anywhere but one move on
+// (e.g. clicking elsewhere in the move list) reveals it without a score.
+function revealGuess({ gameState, data, suggestion }, newGameState) {
+    updateHistory(() => recordSuggestion(getGameKey(), gameState, data));
+
+    const played = findPlayedMove(gameState.fen, newGameState.fen);
+    if (!played) {
+        chrome.runtime.sendMessage({ type: 'TRAINING', stage: 'skipped', suggestion });
+        return;
+    }
+
+    const { verdict, points } = scoreGuess(played, data);
+    debugLog("Guess scored:", played.san, verdict);
+    chrome.runtime.sendMessage({
+        type: 'TRAINING',
+        stage: 'result',
+        guess: { san: played.san, uci: played.uci },
+        verdict,
+        points,
+        suggestion
+    });
+    chrome.runtime.sendMessage({ type: 'RECORD_GUESS', verdict }).catch(error => {
+        debugError("Error recording the guess:", error);
+    });
+}
+
+// Function to update this game's analysis history (history.js) and show it in the sidebar
+function updateHistory(update) {
+    update()
+        .then(record => chrome.runtime.sendMessage({ type: 'HISTORY', history: record }))
+        .catch(error => debugError("Error updating analysis history:", error));
+}
+
+// Function to format moves. The side to move and the FEN come from replaying
+// the moves, so they are exact or the game state carries an error instead.
+function formatGameState(sanMoves, startFen = STARTING_FEN) {
+    console.log("Formatting game state from:", sanMoves);
+    const position = reconstructPosition(sanMoves, startFen);
+    // Number the moves from the start position, which may have black to move
+    const [, turn, , , , fullmove] = startFen.split(' ');
+    const offset = turn === 'b' ? 1 : 0;
+    const fullGame = sanMoves
+        .map((san, i) => {
+            const ply = i + offset;
+            const number = Number(fullmove) + Math.floor(ply / 2);
+            if (ply % 2 === 0) return `${number}. ${san}`;
+            return i === 0 ? `${number}... ${san}` : san;
+        })
+        .join(' ');
     const gameState = {
-        fullGame: moveText.trim(),
-        moveCount: moves.length,
-        lastMove: moves[moves.length - 1]?.trim() || "start",
-        isWhiteTurn: moveText.split('.').length % 2 === 0
+        fullGame,
+        startFen,
+        moveCount: sanMoves.length,
+        moves: position.moves || [],
+        lastMove: position.moves ? position.moves[position.moves.length - 1] || "start" : sanMoves[sanMoves.length - 1] || "start",
+        fen: position.fen || null,
+        error: position.error || null,
+        // Opening and book status, for games from the standard starting position
+        book: position.moves ? Openings.identifyGame(startFen, position.moves) : null,
+        isWhiteTurn: position.fen ? position.fen.split(' ')[1] === 'w' : (sanMoves.length + offset) % 2 === 0
     };
     console.log("Formatted game state:", gameState);
     return gameState;
 }
 
-// Function to analyze moves
-function analyzeMoves() {
-    console.log("Checking for moves to analyze...");
-    const moveList = document.querySelector(".move-list");
-    if (moveList) {
-        const moves = moveList.textContent.trim();
-        console.log("Current moves:", moves);
-        console.log("Last recorded moves:", lastMoves);
-        if (moves !== lastMoves) {
-            moveCount++;
-            const gameState = formatGameState(moves);
-            
-            console.log(`=== Move #${moveCount} ===`);
-            console.log("Analyzing position...");
-            
-            getAnalysis(gameState);
-            
-            lastMoves = moves;
-            isWhiteTurn = gameState.isWhiteTurn;
-        } else {
-            console.log("No new moves to analyze");
+// Function to read the game state for the position on the board. Pages whose
+// moves can't be replayed (e.g. a study chapter set up from a position) fall
+// back to the FEN the page shows, without the move history.
+function readGameState() {
+    const moveList = readReplayableMoveList();
+    let gameState = moveList ? formatGameState(moveList.moves, moveList.startFen || STARTING_FEN) : null;
+
+    if (!gameState || gameState.error) {
+        const fen = siteAdapter.readPosition();
+        if (fen) {
+            gameState = Object.assign(formatGameState([], fen), { fullGame: '', lastMove: 'unknown' });
         }
-    } else {
-        console.log("Move list element not found");
     }
+    if (gameState) {
+        gameState.result = getGameResult(moveList ? moveList.result : null, gameState);
+        // Chess960 starting positions with non-standard castling rights show in the FEN
+        const start = ChessRules.validateFen(gameState.startFen);
+        gameState.chess960 = siteAdapter.isChess960() || Boolean(start.valid && start.position.chess960);
+        if (gameState.chess960) {
+            gameState.book = null;
+        }
+    }
+    return gameState;
 }
 
-// Set up move observer
-const moveObserver = new MutationObserver((mutations) => {
-    console.log("Move observer triggered");
-    mutations.forEach((mutation) => {
-        if (mutation.type === 'childList' || mutation.type === 'characterData') {
-            analyzeMoves();
+// Function to detect a finished game: a result shown by the site, or no legal
+// moves left in the reconstructed position
+function getGameResult(shownResult, gameState) {
+    if (shownResult) {
+        return shownResult;
+    }
+
+    if (gameState.fen) {
+        const outcome = ChessRules.outcome(ChessRules.parseFen(gameState.fen));
+        if (outcome === 'checkmate') return gameState.isWhiteTurn ? '0-1' : '1-0';
+        if (outcome === 'stalemate') return '1/2-1/2';
+    }
+    return null;
+}
+
+// Function to request a move-by-move review of the finished game
+async function getGameReview(gameState) {
+    if (isReviewing) {
+        debugLog("Review already in progress, skipping...");
+        return;
+    }
+    if (!gameState || gameState.error) {
+        chrome.runtime.sendMessage({
+            type: 'ERROR',
+            error: gameState ? gameState.error : 'No game to review yet.'
+        });
+        return;
+    }
+
+    isReviewing = true;
+    try {
+        const headers = [`[Result "${gameState.result || '*'}"]`];
+        if (gameState.chess960) {
+            headers.push('[Variant "Chess960"]');
         }
-    });
-});
+        if (gameState.startFen !== STARTING_FEN) {
+            headers.push('[SetUp "1"]', `[FEN "${gameState.startFen}"]`);
+        }
+        const pgn = `${headers.join('\n')}\n\n${gameState.fullGame} ${gameState.result || '*'}`;
+        debugLog("Requesting game review:", pgn);
 
-// Start observing with retry
-function startObserving() {
-    console.log("Attempting to start move observer...");
-    const moveList = document.querySelector(".move-list");
-    if (moveList) {
-        moveObserver.observe(moveList, {
-            childList: true,
-            characterData: true,
-            subtree: true
+        const response = await chrome.runtime.sendMessage({
+            type: 'REQUEST_REVIEW',
+            pgn,
+            context: siteAdapter.detectPage(gameState).context
         });
-        console.log("Move observer active - Ready to analyze positions");
-        analyzeMoves();
+
+        if (!response.ok) {
+            if (response.requestId) {
+                debugError("Review request failed:", `(request ${response.requestId})`);
+            }
+            if (response.status === 429) {
+                throw new Error('Rate limit reached. A review costs one request per 20 moves.');
+            }
+            const data = response.data || {};
+            throw new Error(response.error || data.details || data.error || 'Review service unavailable');
+        }
+
+        const data = response.data;
+        debugLog("Received review:", data);
+        chrome.runtime.sendMessage({ type: 'REVIEW', review: data });
+    } catch (error) {
+        debugError("Error getting review:", error);
+        chrome.runtime.sendMessage({ type: 'ERROR', error: error.message });
+    } finally {
+        isReviewing = false;
+    }
+}
+
+// Handle actions from the sidebar iframe
+window.addEventListener('message', (event) => {
+    if (event.origin !== new URL(chrome.runtime.getURL('')).origin) return;
+    if (!event.data) return;
+    if (event.data.type === 'ANALYZE_POSITION') {
+        analyzeCurrentPosition();
+    } else if (event.data.type === 'REVIEW_GAME') {
+        getGameReview(lastGameState);
+    } else if (event.data.type === 'PREVIEW_MOVE') {
+        // A candidate picked in the sidebar: show it as the main arrow
+        if (canDrawOnBoard(event.data.fen)) {
+            drawSuggestionArrow(event.data.move, event.data.alternatives);
+        }
+    } else if (event.data.type === 'SET_VERBOSITY') {
+        verbosity = event.data.verbosity;
+    } else if (event.data.type === 'SET_TRAINING') {
+        trainingMode = event.data.enabled;
+        // Leaving training shows the suggestion that was waiting for a guess
+        if (!trainingMode && pendingGuess) {
+            showSuggestion(pendingGuess);
+            pendingGuess = null;
+        }
+    }
+});
+
+// Keyboard shortcut, relayed by the service worker
+chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'ANALYZE_POSITION') {
+        analyzeCurrentPosition();
+    }
+});
+
+// Function to analyse the position on the board right now, on request
+function analyzeCurrentPosition() {
+    if (!lastGameState) {
+        chrome.runtime.sendMessage({ type: 'ERROR', error: 'No position to analyse yet.' });
+        return;
+    }
+    if (autoAnalysisTimer) {
+        clearTimeout(autoAnalysisTimer);
+        autoAnalysisTimer = null;
+    }
+    getAnalysis(lastGameState);
+}
+
+// Function to schedule an automatic analysis; a newer position replaces it
+function scheduleAutoAnalysis(gameState) {
+    autoAnalysisTimer = setTimeout(() => {
+        autoAnalysisTimer = null;
+        if (lastGameState === gameState) {
+            getAnalysis(gameState);
+        }
+    }, AUTO_ANALYSIS_DELAY_MS);
+}
+
+// Function to send the sidebar the tactical alerts for a new position, or null
+// to hide them outside TACTICS_CONTEXTS. The scan runs locally and costs no request.
+function reportTactics(gameState) {
+    const context = siteAdapter.detectPage(gameState).context;
+    if (!settings.tacticalAlerts || !gameState.fen || !TACTICS_CONTEXTS.includes(context)) {
+        chrome.runtime.sendMessage({ type: 'TACTICS', alerts: null });
+        return;
+    }
+    const alerts = scanTactics(gameState.fen, { chess960: gameState.chess960 });
+    debugLog("Tactical alerts:", alerts);
+    chrome.runtime.sendMessage({ type: 'TACTICS', alerts });
+}
+
+// Function to analyze moves
+function analyzeMoves() {
+    console.log("Checking for moves to analyze...");
+    const gameState = readGameState();
+    if (!gameState) {
+        console.log("Move list element not found");
+        return;
+    }
+
+    // The position (or the reason it can't be read) and the result identify what is on the board
+    const key = `${gameState.fen || gameState.error}|${gameState.result}`;
+    console.log("Current position:", key);
+    console.log("Last recorded position:", lastPositionKey);
+    if (key === lastPositionKey) {
+        console.log("No new moves to analyze");
+        return;
+    }
+
+    moveCount++;
+    cancelAnalysis();
+    clearBoardOverlay();
+    lastGameState = gameState;
+
+    console.log(`=== Move #${moveCount} ===`);
+    if (pendingGuess) {
+        revealGuess(pendingGuess, gameState);
+        pendingGuess = null;
+    }
+    // The opening book is help too, so it is hidden where suggestions are
+    const bookAllowed = SUGGESTION_CONTEXTS.includes(siteAdapter.detectPage(gameState).context);
+    chrome.runtime.sendMessage({ type: 'OPENING', book: bookAllowed ? gameState.book : null });
+    reportTactics(gameState);
+    updateHistory(() => recordGameMoves(getGameKey(), gameState));
+    if (gameState.result) {
+        console.log("Game over:", gameState.result);
+        chrome.runtime.sendMessage({ type: 'GAME_ENDED', result: gameState.result });
+    } else if (settings.analysisMode === 'auto') {
+        console.log("Analyzing position...");
+        scheduleAutoAnalysis(gameState);
     } else {
-        console.log("Move list not found, retrying in 2 seconds...");
-        setTimeout(startObserving, 2000);
+        chrome.runtime.sendMessage({ type: 'PROGRESS', stage: 'idle' });
     }
+
+    lastPositionKey = key;
+    isWhiteTurn = gameState.isWhiteTurn;
 }
 
-// Start the observer
-startObserving();
+// Start watching the page for new positions once the settings are known
+loadSettings().finally(() => {
+    console.log("Attempting to start move observer...");
+    siteAdapter.observeChanges(analyzeMoves);
+});
 
 console.log("Chess GPT Advisor initialized - v18 (with improved board detection)");
\ No newline at end of file
@@ -0,0 +1,162 @@
+// Per-game analysis history, persisted in chrome.storage.local.
+// Recorded by the content script; shown and exported as PGN by the sidebar.
+// Needs shared/chess-rules.js and shared/pgn.js.
+
+const HISTORY_STORAGE_KEY = 'analysisHistory';
+
+// The least recently updated games are dropped beyond this
+const MAX_HISTORY_GAMES = 20;
+
+// Games are told apart by page, e.g. "lichess.org/abcd1234"
+function getGameKey(url = location.href) {
+    const { host, pathname } = new URL(url);
+    return host + pathname;
+}
+
+// Positions are compared without the move clocks
+function samePosition(fenA, fenB) {
+    return fenA.split(' ').slice(0, 4).join(' ') === fenB.split(' ').slice(0, 4).join(' ');
+}
+
+async function getGameHistory(key) {
+    const stored = await chrome.storage.local.get({ [HISTORY_STORAGE_KEY]: {} });
+    return stored[HISTORY_STORAGE_KEY][key] || null;
+}
+
+// Writes are queued so a suggestion and a new move arriving together don't
+// overwrite each other
+let historyQueue = Promise.resolve();
+
+// Apply `update` to a game's record and save it. `update` returns false to
+// leave the history untouched; with `create` false, games without a record
+// are left alone. Resolves to the record, or null when there is none.
+function updateGameHistory(key, update, { create = true } = {}) {
+    const result = historyQueue.then(async () => {
+        const stored = await chrome.storage.local.get({ [HISTORY_STORAGE_KEY]: {} });
+        const games = stored[HISTORY_STORAGE_KEY];
+        let record = games[key];
+        if (!record) {
+            if (!create) return null;
+            record = { key, url: location.href, startFen: ChessRules.STARTING_FEN, moves: [], result: null, entries: [] };
+        }
+        if (update(record) === false) return record;
+
+        record.updatedAt = Date.now();
+        games[key] = record;
+        const oldest = Object.values(games)
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .slice(MAX_HISTORY_GAMES);
+        for (const game of oldest) {
+            delete games[game.key];
+        }
+        await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: games });
+        return record;
+    });
+    historyQueue = result.catch(() => {});
+    return result;
+}
+
+// Keep the game's move list current and fill in the move actually played in
+// each analysed position that is on it
+function recordGameMoves(key, gameState) {
+    return updateGameHistory(key, record => {
+        // A page whose start position changed is a different game
+        if (gameState.error || (record.entries.length && gameState.startFen !== record.startFen)) {
+            return false;
+        }
+        record.startFen = gameState.startFen;
+        record.chess960 = Boolean(gameState.chess960);
+        record.moves = gameState.moves;
+        record.result = gameState.result || null;
+
+        const plies = ChessRules.replaySan(record.startFen, record.moves, { chess960: record.chess960 }).plies;
+        for (const entry of record.entries) {
+            const ply = plies[entry.ply];
+            if (ply && samePosition(ChessRules.toFen(ply.before), entry.fen)) {
+                entry.played = { san: ply.move.san, uci: ply.move.uci };
+            }
+        }
+    }, { create: false });
+}
+
+// Record a suggestion for the position in `gameState`, replacing an earlier
+// one for the same position
+function recordSuggestion(key, gameState, data) {
+    return updateGameHistory(key, record => {
+        if (!record.entries.length) {
+            record.startFen = gameState.startFen;
+            record.chess960 = Boolean(gameState.chess960);
+        }
+        record.moves = gameState.moves;
+        record.entries = record.entries.filter(entry => !samePosition(entry.fen, gameState.fen));
+        record.entries.push({
+            ply: gameState.moves.length,
+            fen: gameState.fen,
+            played: null,
+            suggestion: { san: data.suggestion.san, uci: data.suggestion.uci },
+            explanation: data.explanation || null,
+            score: data.evaluation ? data.evaluation.score : null,
+            book: Boolean(data.book),
+            analysedAt: Date.now()
+        });
+        record.entries.sort((a, b) => a.ply - b.ply);
+    });
+}
+
+function clearGameHistory(key) {
+    const result = historyQueue.then(async () => {
+        const stored = await chrome.storage.local.get({ [HISTORY_STORAGE_KEY]: {} });
+        delete stored[HISTORY_STORAGE_KEY][key];
+        await chrome.storage.local.set(stored);
+    });
+    historyQueue = result.catch(() => {});
+    return result;
+}
+
+// One-line summary of a suggestion for a PGN comment
+function describeEntry(entry) {
+    const parts = [];
+    if (entry.book) parts.push('book move');
+    if (entry.score) parts.push(Pgn.formatScore(entry.score));
+    if (entry.explanation && entry.explanation.reason) parts.push(entry.explanation.reason);
+    return parts.join(', ');
+}
+
+// The game as PGN, each analysed move annotated with the suggestion: a comment
+// when the suggestion was played, otherwise a comment and a variation with the
+// suggested move (and its main line, with the full explanation level).
+// A suggestion for the position after the last move ends the game as a comment.
+function historyToPgn(record) {
+    const result = record.result || '*';
+    const date = new Date(record.updatedAt || Date.now());
+    const headers = [
+        ['Event', 'Chess GPT Advisor analysis'],
+        ['Site', record.url],
+        ['Date', `${date.getFullYear()}.${String(date.getMonth() + 1).padStart(2, '0')}.${String(date.getDate()).padStart(2, '0')}`],
+        ['Result', result],
+        ['Annotator', 'Chess GPT Advisor']
+    ];
+    if (record.chess960) {
+        headers.push(['Variant', 'Chess960']);
+    }
+    if (record.startFen !== ChessRules.STARTING_FEN) {
+        headers.push(['SetUp', '1'], ['FEN', record.startFen]);
+    }
+
+    const { plies, position: finalPosition } = ChessRules.replaySan(record.startFen, record.moves, { chess960: record.chess960 });
+    const entryAt = (ply, position) => record.entries.find(entry =>
+        entry.ply === ply && samePosition(entry.fen, ChessRules.toFen(position)));
+    // A move, or the position after the last one, with its suggestion if any
+    const annotate = (position, played, entry) => Object.assign({ position, played }, entry && {
+        suggestion: entry.suggestion,
+        summary: describeEntry(entry),
+        line: Pgn.suggestedLine(entry.suggestion, entry.explanation)
+    });
+
+    const moves = plies.map(({ before, move }, index) => annotate(before, move, entryAt(index, before)));
+    const next = entryAt(plies.length, finalPosition);
+    if (next) {
+        moves.push(annotate(finalPosition, null, next));
+    }
+    return Pgn.formatAnnotatedGame(headers, moves, result);
+}
@@ -0,0 +1,96 @@
+// Options page - edits the settings in chrome.storage.local (see settings.js)
+
+function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+async function loadOptions() {
+    const settings = await getSettings();
+    document.getElementById('backendUrl').value = settings.backendUrl;
+    document.getElementById('clientId').value = settings.clientId || 'Not registered yet';
+    document.getElementById('analysisMode').value = settings.analysisMode;
+    document.getElementById('suggestionSource').value = settings.suggestionSource;
+    document.getElementById('candidates').value = String(settings.candidates);
+    document.getElementById('tacticalAlerts').checked = settings.tacticalAlerts;
+    document.getElementById('debug').checked = settings.debug;
+}
+
+async function loadShortcut() {
+    const commands = await chrome.commands.getAll();
+    const command = commands.find(c => c.name === 'analyze-position');
+    if (command && command.shortcut) {
+        document.getElementById('shortcut').textContent = command.shortcut;
+    }
+}
+
+// A backend other than the default needs host access, which has to be
+// granted from a user gesture, so it is requested when saving
+async function requestBackendAccess(backendUrl) {
+    const origin = `${new URL(backendUrl).origin}/*`;
+    if (await chrome.permissions.contains({ origins: [origin] })) {
+        return true;
+    }
+    return chrome.permissions.request({ origins: [origin] });
+}
+
+async function saveOptions(event) {
+    event.preventDefault();
+
+    let backendUrl;
+    try {
+        backendUrl = normalizeBackendUrl(document.getElementById('backendUrl').value);
+        const protocol = new URL(backendUrl).protocol;
+        if (protocol !== 'https:' && protocol !== 'http:') {
+            throw new Error('Unsupported protocol');
+        }
+    } catch (error) {
+        showStatus('Please enter a valid http(s) URL.', true);
+        return;
+    }
+
+    const analysisMode = document.getElementById('analysisMode').value;
+    if (!ANALYSIS_MODES.includes(analysisMode)) {
+        showStatus('Unknown analysis mode.', true);
+        return;
+    }
+
+    const suggestionSource = document.getElementById('suggestionSource').value;
+    if (!SUGGESTION_SOURCES.includes(suggestionSource)) {
+        showStatus('Unknown suggestion source.', true);
+        return;
+    }
+
+    const candidates = Number(document.getElementById('candidates').value);
+    if (!CANDIDATE_COUNTS.includes(candidates)) {
+        showStatus('Unknown number of candidate moves.', true);
+        return;
+    }
+
+    if (!(await requestBackendAccess(backendUrl))) {
+        showStatus('Access to the backend was not granted.', true);
+        return;
+    }
+
+    await saveSettings({
+        backendUrl,
+        analysisMode,
+        suggestionSource,
+        candidates,
+        tacticalAlerts: document.getElementById('tacticalAlerts').checked,
+        debug: document.getElementById('debug').checked
+    });
+    showStatus('Saved.');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadOptions();
+    loadShortcut();
+    // chrome:// pages can't be linked to directly
+    document.getElementById('shortcutsLink').addEventListener('click', (event) => {
+        event.preventDefault();
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+    document.getElementById('optionsForm').addEventListener('submit', saveOptions);
+});
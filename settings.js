@@ -0,0 +1,40 @@
+// Extension settings, persisted in chrome.storage.local.
+// Shared by the service worker, the options page and the content script.
+
+const DEFAULT_SETTINGS = {
+    backendUrl: 'https://chess-gpt-advisor.onrender.com',
+    // Issued by the backend when the extension registers: the identity quotas
+    // are charged to, and the signed token for it (refreshed before it expires)
+    clientId: '',
+    clientToken: '',
+    clientTokenExpiresAt: 0,
+    // 'on-demand' analyses only when asked (sidebar button or keyboard
+    // shortcut), 'auto' every new position once it has settled
+    analysisMode: 'on-demand',
+    // Where suggestions come from: 'llm', 'engine' (if the backend runs one)
+    // or 'both' - the LLM's move with the engine's evaluation next to it
+    suggestionSource: 'llm',
+    // Number of ranked candidate moves to ask for (1 is a single suggestion)
+    candidates: 1,
+    // Offline alerts for loose pieces, checks, captures, forks and pins on the
+    // analysis board and in finished games (tactics.js)
+    tacticalAlerts: true,
+    debug: false
+};
+
+const ANALYSIS_MODES = ['auto', 'on-demand'];
+const SUGGESTION_SOURCES = ['llm', 'engine', 'both'];
+const CANDIDATE_COUNTS = [1, 3, 5];
+
+async function getSettings() {
+    return chrome.storage.local.get(DEFAULT_SETTINGS);
+}
+
+async function saveSettings(changes) {
+    await chrome.storage.local.set(changes);
+}
+
+// Backend URLs are stored without a trailing slash so paths can be appended
+function normalizeBackendUrl(url) {
+    return url.trim().replace(/\/+$/, '');
+}
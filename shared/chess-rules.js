@@ -0,0 +1,742 @@
+// Chess rules shared by the extension and the backend.
+// Loaded as a plain script in the extension (exposes `ChessRules`) and with require() in Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ChessRules = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FILES = 'abcdefgh';
+    const STARTING_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+    const PIECE_NAMES = { P: 'Pawn', N: 'Knight', B: 'Bishop', R: 'Rook', Q: 'Queen', K: 'King' };
+
+    const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+    const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+    const BISHOP_DIRS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+    const ROOK_DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+    // Square helpers - squares are indexed 0..63 with a1 = 0 and h8 = 63
+    function squareIndex(file, rank) {
+        return rank * 8 + file;
+    }
+
+    function fileOf(square) {
+        return square & 7;
+    }
+
+    function rankOf(square) {
+        return square >> 3;
+    }
+
+    function squareName(square) {
+        return FILES[fileOf(square)] + (rankOf(square) + 1);
+    }
+
+    function parseSquare(name) {
+        if (typeof name !== 'string' || !/^[a-h][1-8]$/.test(name)) return null;
+        return squareIndex(FILES.indexOf(name[0]), Number(name[1]) - 1);
+    }
+
+    function offset(square, df, dr) {
+        const file = fileOf(square) + df;
+        const rank = rankOf(square) + dr;
+        if (file < 0 || file > 7 || rank < 0 || rank > 7) return null;
+        return squareIndex(file, rank);
+    }
+
+    function colorOf(piece) {
+        return piece === piece.toUpperCase() ? 'w' : 'b';
+    }
+
+    function typeOf(piece) {
+        return piece.toUpperCase();
+    }
+
+    function opposite(color) {
+        return color === 'w' ? 'b' : 'w';
+    }
+
+    function makePiece(color, type) {
+        return color === 'w' ? type.toUpperCase() : type.toLowerCase();
+    }
+
+    function findKing(board, color) {
+        const king = makePiece(color, 'K');
+        return board.indexOf(king);
+    }
+
+    // The file of the outermost rook on one side ('k' or 'q') of the king, or null.
+    // Only rooks on the king's back rank count.
+    function outermostRook(board, color, side) {
+        const backRank = color === 'w' ? 0 : 7;
+        const kingSquare = findKing(board, color);
+        if (rankOf(kingSquare) !== backRank) return null;
+        const step = side === 'k' ? -1 : 1;
+        for (let file = side === 'k' ? 7 : 0; file !== fileOf(kingSquare); file += step) {
+            if (board[squareIndex(file, backRank)] === makePiece(color, 'R')) return file;
+        }
+        return null;
+    }
+
+    // FEN parsing. Castling rights may be given as KQkq, X-FEN or Shredder-FEN:
+    // K and Q stand for the outermost rook on that side of the king, a file
+    // letter (A-H for White, a-h for Black) names the rook, as Chess960 needs
+    // when two rooks stand on the same side.
+    function parseCastling(field, board) {
+        const castling = { w: { k: null, q: null }, b: { k: null, q: null } };
+        if (field === '-') return castling;
+        if (!/^[KQkqA-Ha-h]+$/.test(field)) {
+            throw new Error(`Invalid castling field: ${field}`);
+        }
+
+        for (const char of field) {
+            const color = char === char.toUpperCase() ? 'w' : 'b';
+            const backRank = color === 'w' ? 0 : 7;
+            const kingSquare = findKing(board, color);
+            let side;
+            let rookFile;
+            if ('KQkq'.includes(char)) {
+                side = char.toLowerCase();
+                rookFile = outermostRook(board, color, side);
+            } else {
+                rookFile = FILES.indexOf(char.toLowerCase());
+                side = rookFile > fileOf(kingSquare) ? 'k' : 'q';
+            }
+            if (rankOf(kingSquare) !== backRank || rookFile === null || rookFile === fileOf(kingSquare) ||
+                board[squareIndex(rookFile, backRank)] !== makePiece(color, 'R')) {
+                throw new Error(`Castling right ${char} does not match the king and rook placement`);
+            }
+            if (castling[color][side] !== null && castling[color][side] !== rookFile) {
+                throw new Error(`Castling field ${field} gives two rooks for the same side`);
+            }
+            castling[color][side] = rookFile;
+        }
+        return castling;
+    }
+
+    // Whether every castling right is the standard one: king on the e-file, rooks in the corners
+    function isStandardCastling(castling, board) {
+        return ['w', 'b'].every(color => {
+            const { k, q } = castling[color];
+            if (k === null && q === null) return true;
+            return fileOf(findKing(board, color)) === 4 && (k === null || k === 7) && (q === null || q === 0);
+        });
+    }
+
+    // `options.chess960` marks the position as Chess960 even when its castling
+    // rights look standard; non-standard castling rights always do.
+    function parseFen(fen, options = {}) {
+        if (!fen || typeof fen !== 'string') {
+            throw new Error('FEN must be a non-empty string');
+        }
+
+        const parts = fen.trim().split(/\s+/);
+        if (parts.length !== 6) {
+            throw new Error('FEN must have 6 space-separated fields');
+        }
+
+        const [placement, turn, castlingField, epField, halfmove, fullmove] = parts;
+        const ranks = placement.split('/');
+        if (ranks.length !== 8) {
+            throw new Error('FEN placement must have 8 ranks');
+        }
+
+        const board = new Array(64).fill(null);
+        ranks.forEach((rankText, i) => {
+            const rank = 7 - i;
+            let file = 0;
+            for (const char of rankText) {
+                if ('12345678'.includes(char)) {
+                    file += Number(char);
+                } else if ('pnbrqkPNBRQK'.includes(char)) {
+                    if (file > 7) break;
+                    board[squareIndex(file, rank)] = char;
+                    file++;
+                } else {
+                    throw new Error(`Invalid piece character: ${char}`);
+                }
+            }
+            if (file !== 8) {
+                throw new Error(`Rank ${rank + 1} does not have 8 squares`);
+            }
+        });
+
+        for (const color of ['w', 'b']) {
+            const kings = board.filter(piece => piece === makePiece(color, 'K')).length;
+            if (kings !== 1) {
+                throw new Error(`${color === 'w' ? 'White' : 'Black'} must have exactly one king`);
+            }
+        }
+        for (let file = 0; file < 8; file++) {
+            if (['P', 'p'].includes(board[squareIndex(file, 0)]) || ['P', 'p'].includes(board[squareIndex(file, 7)])) {
+                throw new Error('Pawns cannot stand on the first or last rank');
+            }
+        }
+
+        if (turn !== 'w' && turn !== 'b') {
+            throw new Error(`Invalid side to move: ${turn}`);
+        }
+
+        const castling = parseCastling(castlingField, board);
+
+        let epSquare = null;
+        if (epField !== '-') {
+            if (!/^[a-h][36]$/.test(epField)) {
+                throw new Error(`Invalid en passant square: ${epField}`);
+            }
+            epSquare = parseSquare(epField);
+            // The square a pawn of the side not to move just skipped: empty, with
+            // that pawn in front of it, on the side to move's sixth rank
+            const pawnRankStep = turn === 'w' ? -1 : 1;
+            if (rankOf(epSquare) !== (turn === 'w' ? 5 : 2) || board[epSquare] ||
+                board[offset(epSquare, 0, pawnRankStep)] !== makePiece(opposite(turn), 'P')) {
+                throw new Error(`Impossible en passant square: ${epField}`);
+            }
+        }
+
+        if (!/^\d+$/.test(halfmove) || !/^\d+$/.test(fullmove)) {
+            throw new Error('Move counters must be non-negative integers');
+        }
+
+        const position = {
+            board,
+            turn,
+            castling,
+            epSquare,
+            halfmove: Number(halfmove),
+            fullmove: Math.max(1, Number(fullmove)),
+            chess960: Boolean(options.chess960) || !isStandardCastling(castling, board)
+        };
+
+        if (isAttacked(board, findKing(board, opposite(turn)), turn)) {
+            throw new Error('The side not to move is in check');
+        }
+        return position;
+    }
+
+    // Returns { valid, error, position } instead of throwing
+    function validateFen(fen, options) {
+        try {
+            return { valid: true, position: parseFen(fen, options) };
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+
+    // X-FEN: K and Q while the castling rook is the outermost one on its side
+    // (always so in standard chess), otherwise the rook's file
+    function castlingToString(castling, board) {
+        let result = '';
+        for (const color of ['w', 'b']) {
+            for (const side of ['k', 'q']) {
+                const rookFile = castling[color][side];
+                if (rookFile === null) continue;
+                const letter = rookFile === outermostRook(board, color, side) ? side : FILES[rookFile];
+                result += color === 'w' ? letter.toUpperCase() : letter;
+            }
+        }
+        return result || '-';
+    }
+
+    function toFen(position) {
+        const rows = [];
+        for (let rank = 7; rank >= 0; rank--) {
+            let row = '';
+            let empty = 0;
+            for (let file = 0; file < 8; file++) {
+                const piece = position.board[squareIndex(file, rank)];
+                if (piece) {
+                    if (empty) row += empty;
+                    row += piece;
+                    empty = 0;
+                } else {
+                    empty++;
+                }
+            }
+            if (empty) row += empty;
+            rows.push(row);
+        }
+
+        return [
+            rows.join('/'),
+            position.turn,
+            castlingToString(position.castling, position.board),
+            position.epSquare === null ? '-' : squareName(position.epSquare),
+            position.halfmove,
+            position.fullmove
+        ].join(' ');
+    }
+
+    // Attack detection
+    function isAttacked(board, square, byColor) {
+        if (square < 0) return false;
+
+        const pawnRankStep = byColor === 'w' ? -1 : 1;
+        for (const df of [-1, 1]) {
+            const from = offset(square, df, pawnRankStep);
+            if (from !== null && board[from] === makePiece(byColor, 'P')) return true;
+        }
+        for (const [df, dr] of KNIGHT_STEPS) {
+            const from = offset(square, df, dr);
+            if (from !== null && board[from] === makePiece(byColor, 'N')) return true;
+        }
+        for (const [df, dr] of KING_STEPS) {
+            const from = offset(square, df, dr);
+            if (from !== null && board[from] === makePiece(byColor, 'K')) return true;
+        }
+        for (const [dirs, types] of [[BISHOP_DIRS, ['B', 'Q']], [ROOK_DIRS, ['R', 'Q']]]) {
+            for (const [df, dr] of dirs) {
+                let from = offset(square, df, dr);
+                while (from !== null) {
+                    const piece = board[from];
+                    if (piece) {
+                        if (colorOf(piece) === byColor && types.includes(typeOf(piece))) return true;
+                        break;
+                    }
+                    from = offset(from, df, dr);
+                }
+            }
+        }
+        return false;
+    }
+
+    // The squares of every piece of `byColor` attacking `square`. Pinned pieces
+    // count, and a piece behind another on the same line (an x-ray) doesn't.
+    function attackersOf(board, square, byColor) {
+        const attackers = [];
+        const pawnRankStep = byColor === 'w' ? -1 : 1;
+        for (const df of [-1, 1]) {
+            const from = offset(square, df, pawnRankStep);
+            if (from !== null && board[from] === makePiece(byColor, 'P')) attackers.push(from);
+        }
+        for (const [steps, type] of [[KNIGHT_STEPS, 'N'], [KING_STEPS, 'K']]) {
+            for (const [df, dr] of steps) {
+                const from = offset(square, df, dr);
+                if (from !== null && board[from] === makePiece(byColor, type)) attackers.push(from);
+            }
+        }
+        for (const [dirs, types] of [[BISHOP_DIRS, ['B', 'Q']], [ROOK_DIRS, ['R', 'Q']]]) {
+            for (const [df, dr] of dirs) {
+                let from = offset(square, df, dr);
+                while (from !== null && !board[from]) {
+                    from = offset(from, df, dr);
+                }
+                if (from !== null && colorOf(board[from]) === byColor && types.includes(typeOf(board[from]))) {
+                    attackers.push(from);
+                }
+            }
+        }
+        return attackers;
+    }
+
+    function isCheck(position) {
+        return isAttacked(position.board, findKing(position.board, position.turn), opposite(position.turn));
+    }
+
+    // Move generation
+    function pseudoLegalMoves(position) {
+        const { board, turn } = position;
+        const moves = [];
+
+        const addMove = (from, to, extra) => {
+            const captured = board[to] ? typeOf(board[to]) : undefined;
+            moves.push(Object.assign({ from, to, piece: typeOf(board[from]), captured }, extra));
+        };
+
+        for (let from = 0; from < 64; from++) {
+            const piece = board[from];
+            if (!piece || colorOf(piece) !== turn) continue;
+            const type = typeOf(piece);
+
+            if (type === 'P') {
+                const dir = turn === 'w' ? 1 : -1;
+                const startRank = turn === 'w' ? 1 : 6;
+                const lastRank = turn === 'w' ? 7 : 0;
+                const addPawnMove = (to, extra) => {
+                    if (rankOf(to) === lastRank) {
+                        for (const promotion of ['Q', 'R', 'B', 'N']) {
+                            addMove(from, to, Object.assign({ promotion }, extra));
+                        }
+                    } else {
+                        addMove(from, to, extra);
+                    }
+                };
+
+                const one = offset(from, 0, dir);
+                if (one !== null && !board[one]) {
+                    addPawnMove(one);
+                    const two = offset(from, 0, dir * 2);
+                    if (rankOf(from) === startRank && !board[two]) {
+                        addMove(from, two, { double: true });
+                    }
+                }
+                for (const df of [-1, 1]) {
+                    const to = offset(from, df, dir);
+                    if (to === null) continue;
+                    if (board[to] && colorOf(board[to]) !== turn) {
+                        addPawnMove(to);
+                    } else if (to === position.epSquare) {
+                        moves.push({ from, to, piece: 'P', captured: 'P', enPassant: true });
+                    }
+                }
+                continue;
+            }
+
+            const steps = type === 'N' ? KNIGHT_STEPS : type === 'K' ? KING_STEPS : null;
+            if (steps) {
+                for (const [df, dr] of steps) {
+                    const to = offset(from, df, dr);
+                    if (to !== null && (!board[to] || colorOf(board[to]) !== turn)) {
+                        addMove(from, to);
+                    }
+                }
+            } else {
+                const dirs = type === 'B' ? BISHOP_DIRS : type === 'R' ? ROOK_DIRS : BISHOP_DIRS.concat(ROOK_DIRS);
+                for (const [df, dr] of dirs) {
+                    let to = offset(from, df, dr);
+                    while (to !== null) {
+                        if (board[to]) {
+                            if (colorOf(board[to]) !== turn) addMove(from, to);
+                            break;
+                        }
+                        addMove(from, to);
+                        to = offset(to, df, dr);
+                    }
+                }
+            }
+        }
+
+        return moves.concat(castlingMoves(position));
+    }
+
+    // Castling is generated from the king and rook squares, so the same code covers
+    // the standard starting position and any other back-rank arrangement.
+    function castlingMoves(position) {
+        const { board, turn, castling } = position;
+        const moves = [];
+        const backRank = turn === 'w' ? 0 : 7;
+        const kingFrom = findKing(board, turn);
+        if (rankOf(kingFrom) !== backRank) return moves;
+        if (isAttacked(board, kingFrom, opposite(turn))) return moves;
+
+        for (const side of ['k', 'q']) {
+            const rookFile = castling[turn][side];
+            if (rookFile === null) continue;
+            const rookFrom = squareIndex(rookFile, backRank);
+            if (board[rookFrom] !== makePiece(turn, 'R')) continue;
+
+            const kingTo = squareIndex(side === 'k' ? 6 : 2, backRank);
+            const rookTo = squareIndex(side === 'k' ? 5 : 3, backRank);
+
+            const span = [kingFrom, kingTo, rookFrom, rookTo];
+            const low = Math.min(...span);
+            const high = Math.max(...span);
+            let blocked = false;
+            for (let square = low; square <= high; square++) {
+                if (square !== kingFrom && square !== rookFrom && board[square]) {
+                    blocked = true;
+                    break;
+                }
+            }
+            if (blocked) continue;
+
+            const step = kingTo > kingFrom ? 1 : -1;
+            let safe = true;
+            for (let square = kingFrom; square !== kingTo; square += step) {
+                if (isAttacked(board, square + step, opposite(turn))) {
+                    safe = false;
+                    break;
+                }
+            }
+            if (!safe) continue;
+
+            moves.push({ from: kingFrom, to: kingTo, piece: 'K', castle: side, rookFrom, rookTo });
+        }
+        return moves;
+    }
+
+    function applyInternal(position, move) {
+        const board = position.board.slice();
+        const turn = position.turn;
+        const castling = {
+            w: Object.assign({}, position.castling.w),
+            b: Object.assign({}, position.castling.b)
+        };
+
+        if (move.castle) {
+            board[move.from] = null;
+            board[move.rookFrom] = null;
+            board[move.to] = makePiece(turn, 'K');
+            board[move.rookTo] = makePiece(turn, 'R');
+        } else {
+            board[move.to] = move.promotion ? makePiece(turn, move.promotion) : board[move.from];
+            board[move.from] = null;
+            if (move.enPassant) {
+                board[squareIndex(fileOf(move.to), rankOf(move.from))] = null;
+            }
+        }
+
+        if (move.piece === 'K') {
+            castling[turn] = { k: null, q: null };
+        }
+        for (const color of ['w', 'b']) {
+            const backRank = color === 'w' ? 0 : 7;
+            for (const side of ['k', 'q']) {
+                const rookFile = castling[color][side];
+                if (rookFile === null) continue;
+                const rookSquare = squareIndex(rookFile, backRank);
+                if (!move.castle && (move.from === rookSquare || move.to === rookSquare)) {
+                    castling[color][side] = null;
+                }
+            }
+        }
+
+        return {
+            board,
+            turn: opposite(turn),
+            castling,
+            epSquare: move.double ? (move.from + move.to) / 2 : null,
+            halfmove: move.piece === 'P' || move.captured ? 0 : position.halfmove + 1,
+            fullmove: turn === 'b' ? position.fullmove + 1 : position.fullmove,
+            chess960: position.chess960
+        };
+    }
+
+    function legalInternal(position) {
+        return pseudoLegalMoves(position).filter(move => {
+            const next = applyInternal(position, move);
+            return !isAttacked(next.board, findKing(next.board, position.turn), next.turn);
+        });
+    }
+
+    // Notation. Castling is written as the king's move (e1g1) when the king and
+    // rook start on their standard squares. Otherwise that could be a plain king
+    // move, or no move at all, so it is written king-takes-rook (f1h1), as UCI
+    // engines do in Chess960 mode.
+    function moveToUci(move) {
+        if (move.castle && (fileOf(move.from) !== 4 || fileOf(move.rookFrom) !== (move.castle === 'k' ? 7 : 0))) {
+            return squareName(move.from) + squareName(move.rookFrom);
+        }
+        return squareName(move.from) + squareName(move.to) + (move.promotion ? move.promotion.toLowerCase() : '');
+    }
+
+    function moveToSan(position, move, legal) {
+        let san;
+        if (move.castle) {
+            san = move.castle === 'k' ? 'O-O' : 'O-O-O';
+        } else if (move.piece === 'P') {
+            san = move.captured ? FILES[fileOf(move.from)] + 'x' : '';
+            san += squareName(move.to);
+            if (move.promotion) san += '=' + move.promotion;
+        } else {
+            const rivals = legal.filter(other =>
+                other !== move && !other.castle && other.piece === move.piece &&
+                other.to === move.to && other.from !== move.from
+            );
+            let disambiguation = '';
+            if (rivals.length) {
+                const sameFile = rivals.some(other => fileOf(other.from) === fileOf(move.from));
+                const sameRank = rivals.some(other => rankOf(other.from) === rankOf(move.from));
+                if (!sameFile) {
+                    disambiguation = FILES[fileOf(move.from)];
+                } else if (!sameRank) {
+                    disambiguation = String(rankOf(move.from) + 1);
+                } else {
+                    disambiguation = squareName(move.from);
+                }
+            }
+            san = move.piece + disambiguation + (move.captured ? 'x' : '') + squareName(move.to);
+        }
+
+        const next = applyInternal(position, move);
+        if (isCheck(next)) {
+            san += legalInternal(next).length === 0 ? '#' : '+';
+        }
+        return san;
+    }
+
+    // Public move objects use square names and carry SAN/UCI for convenience
+    function decorate(position, move, legal) {
+        return {
+            color: position.turn,
+            piece: move.piece,
+            from: squareName(move.from),
+            to: squareName(move.to),
+            captured: move.captured,
+            promotion: move.promotion,
+            castle: move.castle,
+            rookFrom: move.castle ? squareName(move.rookFrom) : undefined,
+            rookTo: move.castle ? squareName(move.rookTo) : undefined,
+            enPassant: Boolean(move.enPassant),
+            san: moveToSan(position, move, legal),
+            uci: moveToUci(move),
+            internal: move
+        };
+    }
+
+    function legalMoves(position) {
+        const legal = legalInternal(position);
+        return legal.map(move => decorate(position, move, legal));
+    }
+
+    function applyMove(position, move) {
+        return applyInternal(position, move.internal || move);
+    }
+
+    function stripSan(san) {
+        return san.replace(/[+#!?]+$/, '');
+    }
+
+    // Lenient SAN matching: accepts check marks, annotations, 0-0, missing '=' and
+    // over-specified disambiguation ("Ngf3" where "Nf3" would do).
+    function parseSan(position, text, moves) {
+        if (!text || typeof text !== 'string') return null;
+        const legal = moves || legalMoves(position);
+        const san = text.trim()
+            .replace(/e\.p\.?$/i, '')
+            .replace(/[+#!?]+$/, '')
+            .replace(/^0-0-0$/, 'O-O-O')
+            .replace(/^0-0$/, 'O-O')
+            .trim();
+
+        const exact = legal.find(move => stripSan(move.san) === san);
+        if (exact) return exact;
+
+        const match = san.match(/^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQ]))?$/);
+        if (!match) return null;
+        const [, piece = 'P', file, rank, to, promotion] = match;
+        const candidates = legal.filter(move =>
+            !move.castle &&
+            move.piece === piece &&
+            move.to === to &&
+            (!file || move.from[0] === file) &&
+            (!rank || move.from[1] === rank) &&
+            (move.promotion || undefined) === (promotion || undefined)
+        );
+        return candidates.length === 1 ? candidates[0] : null;
+    }
+
+    // Accepts plain UCI and king-takes-rook castling notation
+    function parseUci(position, text, moves) {
+        if (!text || typeof text !== 'string') return null;
+        const match = text.trim().toLowerCase().match(/^([a-h][1-8])([a-h][1-8])([nbrq])?$/);
+        if (!match) return null;
+        const [, from, to, promotion] = match;
+        const legal = moves || legalMoves(position);
+        const exact = legal.find(move => move.uci === from + to + (promotion || ''));
+        if (exact) return exact;
+        return legal.find(move => {
+            if (move.from !== from || (move.promotion || '').toLowerCase() !== (promotion || '')) return false;
+            if (move.to === to) return true;
+            return Boolean(move.castle) && squareName(move.internal.rookFrom) === to;
+        }) || null;
+    }
+
+    // Replay SAN moves from a starting FEN. Returns the final position and, for every
+    // ply, the position before it and the move played. Throws with the move number
+    // of the first move that is not legal. `options` are passed to parseFen().
+    function replaySan(startFen, sanMoves, options) {
+        let position = parseFen(startFen || STARTING_FEN, options);
+        const plies = [];
+        for (const san of sanMoves) {
+            const move = parseSan(position, san);
+            if (!move) {
+                const moveNumber = `${position.fullmove}${position.turn === 'w' ? '.' : '...'}`;
+                throw new Error(`Could not replay move ${moveNumber} ${san}: it is not legal in this position`);
+            }
+            plies.push({ before: position, move });
+            position = applyMove(position, move);
+        }
+        return { position, plies };
+    }
+
+    // Minimal PGN reader for a single game: tag pairs, mainline SAN moves and the
+    // result. Comments, variations, NAGs and move numbers are skipped. Chess960
+    // games are recognised by their Variant tag.
+    function parsePgn(text) {
+        const headers = {};
+        const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/gm;
+        let match;
+        while ((match = tagPattern.exec(text))) {
+            headers[match[1]] = match[2].replace(/\\(.)/g, '$1');
+        }
+
+        let movetext = text.replace(tagPattern, ' ')
+            .replace(/\{[^}]*\}/g, ' ')
+            .replace(/;[^\n]*/g, ' ');
+        let previous;
+        do {
+            previous = movetext;
+            movetext = movetext.replace(/\([^()]*\)/g, ' ');
+        } while (movetext !== previous);
+
+        const tokens = movetext
+            .replace(/\$\d+/g, ' ')
+            .replace(/\d+\.+/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+
+        let result = headers.Result || '*';
+        const moves = [];
+        for (const token of tokens) {
+            if (['1-0', '0-1', '1/2-1/2', '*'].includes(token)) {
+                result = token;
+            } else {
+                moves.push(token);
+            }
+        }
+
+        return {
+            headers,
+            startFen: headers.FEN || STARTING_FEN,
+            moves,
+            result,
+            chess960: /960|fischer/i.test(headers.Variant || '')
+        };
+    }
+
+    function outcome(position) {
+        if (legalInternal(position).length > 0) return null;
+        return isCheck(position) ? 'checkmate' : 'stalemate';
+    }
+
+    // Normalized position key: placement, side to move, castling and en passant,
+    // without the move clocks. The en passant square only counts when a capture is
+    // actually possible, so "e3" and "-" after 1. e4 share a key.
+    function positionKey(position) {
+        const [placement, turn, castling, epSquare] = toFen(position).split(' ');
+        const canCaptureEnPassant = epSquare !== '-' &&
+            legalInternal(position).some(move => move.enPassant);
+        return [placement, turn, castling, canCaptureEnPassant ? epSquare : '-'].join(' ');
+    }
+
+    return {
+        STARTING_FEN,
+        PIECE_NAMES,
+        BISHOP_DIRS,
+        ROOK_DIRS,
+        squareName,
+        parseSquare,
+        offset,
+        colorOf,
+        typeOf,
+        opposite,
+        parseFen,
+        validateFen,
+        toFen,
+        isAttacked,
+        attackersOf,
+        isCheck,
+        legalMoves,
+        applyMove,
+        parseSan,
+        parseUci,
+        replaySan,
+        parsePgn,
+        outcome,
+        positionKey
+    };
+});
@@ -0,0 +1,367 @@
+// Offline opening book shared by the extension and the backend.
+// Loaded as a plain script after chess-rules.js in the extension (exposes
+// `Openings`) and with require() in Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./chess-rules'));
+    } else {
+        root.Openings = factory(root.ChessRules);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ChessRules) {
+    'use strict';
+
+    // [ECO code, name, moves from the starting position in SAN]. Within a
+    // family the main line comes first, since it wins ties between book moves.
+    const OPENINGS = [
+        // Flank and irregular openings
+        ['A00', 'Polish Opening', 'b4'],
+        ['A00', 'Grob Opening', 'g4'],
+        ['A00', 'Van \'t Kruijs Opening', 'e3'],
+        ['A00', 'Mieses Opening', 'd3'],
+        ['A00', 'Anderssen\'s Opening', 'a3'],
+        ['A01', 'Nimzo-Larsen Attack', 'b3'],
+        ['A02', 'Bird\'s Opening', 'f4'],
+        ['A02', 'Bird\'s Opening: From\'s Gambit', 'f4 e5'],
+        ['A03', 'Bird\'s Opening: Dutch Variation', 'f4 d5'],
+        ['A04', 'Zukertort Opening', 'Nf3'],
+        ['A04', 'Zukertort Opening: Sicilian Invitation', 'Nf3 c5'],
+        ['A05', 'Zukertort Opening', 'Nf3 Nf6'],
+        ['A06', 'Zukertort Opening', 'Nf3 d5'],
+        ['A07', 'King\'s Indian Attack', 'Nf3 d5 g3'],
+        ['A09', 'Réti Opening', 'Nf3 d5 c4'],
+        ['A10', 'English Opening', 'c4'],
+        ['A13', 'English Opening: Agincourt Defense', 'c4 e6'],
+        ['A15', 'English Opening: Anglo-Indian Defense', 'c4 Nf6'],
+        ['A16', 'English Opening: Anglo-Indian Defense, Queen\'s Knight Variation', 'c4 Nf6 Nc3'],
+        ['A20', 'English Opening: King\'s English Variation', 'c4 e5'],
+        ['A21', 'English Opening: King\'s English Variation, Reversed Sicilian', 'c4 e5 Nc3'],
+        ['A22', 'English Opening: King\'s English Variation, Two Knights Variation', 'c4 e5 Nc3 Nf6'],
+        ['A25', 'English Opening: King\'s English Variation, Closed', 'c4 e5 Nc3 Nc6 g3'],
+        ['A30', 'English Opening: Symmetrical Variation', 'c4 c5'],
+
+        // Closed games and Indian defenses
+        ['A40', 'Queen\'s Pawn Game', 'd4'],
+        ['A40', 'Englund Gambit', 'd4 e5'],
+        ['A40', 'Modern Defense', 'd4 g6'],
+        ['A43', 'Benoni Defense: Old Benoni', 'd4 c5'],
+        ['A45', 'Indian Defense', 'd4 Nf6'],
+        ['A45', 'Trompowsky Attack', 'd4 Nf6 Bg5'],
+        ['A46', 'Indian Defense: Knights Variation', 'd4 Nf6 Nf3'],
+        ['A48', 'East Indian Defense', 'd4 Nf6 Nf3 g6'],
+        ['A48', 'London System', 'd4 Nf6 Nf3 g6 Bf4'],
+        ['A51', 'Budapest Defense', 'd4 Nf6 c4 e5'],
+        ['A52', 'Budapest Defense', 'd4 Nf6 c4 e5 dxe5 Ng4'],
+        ['A56', 'Benoni Defense', 'd4 Nf6 c4 c5'],
+        ['A57', 'Benko Gambit', 'd4 Nf6 c4 c5 d5 b5'],
+        ['A60', 'Benoni Defense: Modern Variation', 'd4 Nf6 c4 c5 d5 e6'],
+        ['A80', 'Dutch Defense', 'd4 f5'],
+        ['A81', 'Dutch Defense', 'd4 f5 g3'],
+        ['A83', 'Dutch Defense: Staunton Gambit', 'd4 f5 e4'],
+        ['A84', 'Dutch Defense', 'd4 f5 c4'],
+
+        // Semi-open games
+        ['B00', 'Nimzowitsch Defense', 'e4 Nc6'],
+        ['B00', 'Owen Defense', 'e4 b6'],
+        ['B00', 'St. George Defense', 'e4 a6'],
+        ['B00', 'Pirc Defense', 'e4 d6'],
+        ['B01', 'Scandinavian Defense', 'e4 d5'],
+        ['B01', 'Scandinavian Defense: Main Line', 'e4 d5 exd5 Qxd5 Nc3 Qa5'],
+        ['B01', 'Scandinavian Defense: Gubinsky-Melts Defense', 'e4 d5 exd5 Qxd5 Nc3 Qd6'],
+        ['B01', 'Scandinavian Defense: Valencian Variation', 'e4 d5 exd5 Qxd5 Nc3 Qd8'],
+        ['B01', 'Scandinavian Defense: Modern Variation', 'e4 d5 exd5 Nf6'],
+        ['B02', 'Alekhine Defense', 'e4 Nf6'],
+        ['B03', 'Alekhine Defense', 'e4 Nf6 e5 Nd5 d4'],
+        ['B04', 'Alekhine Defense: Modern Variation', 'e4 Nf6 e5 Nd5 d4 d6 Nf3'],
+        ['B03', 'Alekhine Defense: Four Pawns Attack', 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 f4'],
+        ['B06', 'Modern Defense', 'e4 g6'],
+        ['B06', 'Modern Defense: Standard Defense', 'e4 g6 d4 Bg7 Nc3 d6'],
+        ['B07', 'Pirc Defense', 'e4 d6 d4 Nf6 Nc3 g6'],
+        ['B08', 'Pirc Defense: Classical Variation', 'e4 d6 d4 Nf6 Nc3 g6 Nf3'],
+        ['B09', 'Pirc Defense: Austrian Attack', 'e4 d6 d4 Nf6 Nc3 g6 f4'],
+        ['B10', 'Caro-Kann Defense', 'e4 c6'],
+        ['B10', 'Caro-Kann Defense: Two Knights Attack', 'e4 c6 Nc3 d5 Nf3'],
+        ['B12', 'Caro-Kann Defense', 'e4 c6 d4 d5'],
+        ['B12', 'Caro-Kann Defense: Advance Variation', 'e4 c6 d4 d5 e5'],
+        ['B13', 'Caro-Kann Defense: Exchange Variation', 'e4 c6 d4 d5 exd5 cxd5'],
+        ['B13', 'Caro-Kann Defense: Panov Attack', 'e4 c6 d4 d5 exd5 cxd5 c4'],
+        ['B15', 'Caro-Kann Defense', 'e4 c6 d4 d5 Nc3'],
+        ['B18', 'Caro-Kann Defense: Classical Variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5'],
+        ['B17', 'Caro-Kann Defense: Karpov Variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Nd7'],
+        ['B20', 'Sicilian Defense', 'e4 c5'],
+        ['B21', 'Sicilian Defense: Smith-Morra Gambit', 'e4 c5 d4 cxd4 c3'],
+        ['B22', 'Sicilian Defense: Alapin Variation', 'e4 c5 c3'],
+        ['B23', 'Sicilian Defense: Closed', 'e4 c5 Nc3'],
+        ['B23', 'Sicilian Defense: Grand Prix Attack', 'e4 c5 Nc3 Nc6 f4'],
+        ['B27', 'Sicilian Defense', 'e4 c5 Nf3'],
+        ['B27', 'Sicilian Defense: Hyperaccelerated Dragon', 'e4 c5 Nf3 g6'],
+        ['B50', 'Sicilian Defense: Modern Variations', 'e4 c5 Nf3 d6'],
+        ['B51', 'Sicilian Defense: Moscow Variation', 'e4 c5 Nf3 d6 Bb5+'],
+        ['B54', 'Sicilian Defense: Open', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4'],
+        ['B90', 'Sicilian Defense: Najdorf Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6'],
+        ['B90', 'Sicilian Defense: Najdorf Variation, English Attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Be3'],
+        ['B92', 'Sicilian Defense: Najdorf Variation, Opocensky Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Be2'],
+        ['B70', 'Sicilian Defense: Dragon Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6'],
+        ['B76', 'Sicilian Defense: Dragon Variation, Yugoslav Attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 f3 O-O'],
+        ['B56', 'Sicilian Defense: Classical Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6'],
+        ['B80', 'Sicilian Defense: Scheveningen Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6'],
+        ['B30', 'Sicilian Defense: Old Sicilian', 'e4 c5 Nf3 Nc6'],
+        ['B30', 'Sicilian Defense: Rossolimo Variation', 'e4 c5 Nf3 Nc6 Bb5'],
+        ['B32', 'Sicilian Defense: Open', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4'],
+        ['B33', 'Sicilian Defense: Sveshnikov Variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5'],
+        ['B34', 'Sicilian Defense: Accelerated Dragon', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6'],
+        ['B40', 'Sicilian Defense: French Variation', 'e4 c5 Nf3 e6'],
+        ['B41', 'Sicilian Defense: Kan Variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6'],
+        ['B44', 'Sicilian Defense: Taimanov Variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6'],
+        ['B45', 'Sicilian Defense: Four Knights Variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6'],
+        ['C00', 'French Defense', 'e4 e6'],
+        ['C00', 'French Defense: Knight Variation', 'e4 e6 Nf3'],
+        ['C00', 'French Defense: Normal Variation', 'e4 e6 d4 d5'],
+        ['C01', 'French Defense: Exchange Variation', 'e4 e6 d4 d5 exd5'],
+        ['C02', 'French Defense: Advance Variation', 'e4 e6 d4 d5 e5'],
+        ['C03', 'French Defense: Tarrasch Variation', 'e4 e6 d4 d5 Nd2'],
+        ['C10', 'French Defense: Paulsen Variation', 'e4 e6 d4 d5 Nc3'],
+        ['C15', 'French Defense: Winawer Variation', 'e4 e6 d4 d5 Nc3 Bb4'],
+        ['C11', 'French Defense: Classical Variation', 'e4 e6 d4 d5 Nc3 Nf6'],
+        ['C11', 'French Defense: Steinitz Variation', 'e4 e6 d4 d5 Nc3 Nf6 e5 Nfd7'],
+        ['C10', 'French Defense: Rubinstein Variation', 'e4 e6 d4 d5 Nc3 dxe4'],
+
+        // Open games
+        ['C20', 'King\'s Pawn Game', 'e4 e5'],
+        ['C20', 'King\'s Pawn Game: Wayward Queen Attack', 'e4 e5 Qh5'],
+        ['C20', 'King\'s Pawn Game: Napoleon Attack', 'e4 e5 Qf3'],
+        ['C20', 'Bongcloud Attack', 'e4 e5 Ke2'],
+        ['C22', 'Center Game', 'e4 e5 d4 exd4 Qxd4'],
+        ['C21', 'Danish Gambit', 'e4 e5 d4 exd4 c3'],
+        ['C23', 'Bishop\'s Opening', 'e4 e5 Bc4'],
+        ['C24', 'Bishop\'s Opening: Berlin Defense', 'e4 e5 Bc4 Nf6'],
+        ['C25', 'Vienna Game', 'e4 e5 Nc3'],
+        ['C26', 'Vienna Game: Falkbeer Variation', 'e4 e5 Nc3 Nf6'],
+        ['C29', 'Vienna Game: Vienna Gambit', 'e4 e5 Nc3 Nf6 f4'],
+        ['C30', 'King\'s Gambit', 'e4 e5 f4'],
+        ['C33', 'King\'s Gambit Accepted', 'e4 e5 f4 exf4'],
+        ['C30', 'King\'s Gambit Declined: Classical Variation', 'e4 e5 f4 Bc5'],
+        ['C31', 'King\'s Gambit Declined: Falkbeer Countergambit', 'e4 e5 f4 d5'],
+        ['C40', 'King\'s Knight Opening', 'e4 e5 Nf3'],
+        ['C44', 'King\'s Knight Opening: Normal Variation', 'e4 e5 Nf3 Nc6'],
+        ['C60', 'Ruy Lopez', 'e4 e5 Nf3 Nc6 Bb5'],
+        ['C68', 'Ruy Lopez: Morphy Defense', 'e4 e5 Nf3 Nc6 Bb5 a6'],
+        ['C70', 'Ruy Lopez: Morphy Defense', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4'],
+        ['C77', 'Ruy Lopez: Morphy Defense', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6'],
+        ['C78', 'Ruy Lopez: Morphy Defense', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O'],
+        ['C84', 'Ruy Lopez: Closed', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7'],
+        ['C88', 'Ruy Lopez: Closed', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3'],
+        ['C92', 'Ruy Lopez: Closed', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 d6 c3 O-O h3'],
+        ['C89', 'Ruy Lopez: Marshall Attack', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d5'],
+        ['C88', 'Ruy Lopez: Closed, Anti-Marshall', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O a4'],
+        ['C80', 'Ruy Lopez: Open Variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4'],
+        ['C68', 'Ruy Lopez: Exchange Variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6'],
+        ['C65', 'Ruy Lopez: Berlin Defense', 'e4 e5 Nf3 Nc6 Bb5 Nf6'],
+        ['C67', 'Ruy Lopez: Berlin Defense, Rio Gambit Accepted', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4'],
+        ['C64', 'Ruy Lopez: Classical Variation', 'e4 e5 Nf3 Nc6 Bb5 Bc5'],
+        ['C63', 'Ruy Lopez: Schliemann Defense', 'e4 e5 Nf3 Nc6 Bb5 f5'],
+        ['C62', 'Ruy Lopez: Steinitz Defense', 'e4 e5 Nf3 Nc6 Bb5 d6'],
+        ['C60', 'Ruy Lopez: Cozio Defense', 'e4 e5 Nf3 Nc6 Bb5 Nge7'],
+        ['C50', 'Italian Game', 'e4 e5 Nf3 Nc6 Bc4'],
+        ['C50', 'Italian Game: Giuoco Piano', 'e4 e5 Nf3 Nc6 Bc4 Bc5'],
+        ['C53', 'Italian Game: Classical Variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3'],
+        ['C50', 'Italian Game: Giuoco Pianissimo', 'e4 e5 Nf3 Nc6 Bc4 Bc5 d3'],
+        ['C51', 'Italian Game: Evans Gambit', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4'],
+        ['C55', 'Italian Game: Two Knights Defense', 'e4 e5 Nf3 Nc6 Bc4 Nf6'],
+        ['C55', 'Italian Game: Two Knights Defense, Modern Bishop\'s Opening', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d3'],
+        ['C57', 'Italian Game: Two Knights Defense, Knight Attack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5'],
+        ['C58', 'Italian Game: Two Knights Defense, Polerio Defense', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5'],
+        ['C57', 'Italian Game: Two Knights Defense, Fried Liver Attack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Nxd5 Nxf7'],
+        ['C57', 'Italian Game: Two Knights Defense, Traxler Counterattack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 Bc5'],
+        ['C50', 'Italian Game: Hungarian Defense', 'e4 e5 Nf3 Nc6 Bc4 Be7'],
+        ['C44', 'Scotch Game', 'e4 e5 Nf3 Nc6 d4'],
+        ['C45', 'Scotch Game', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4'],
+        ['C45', 'Scotch Game: Classical Variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Bc5'],
+        ['C45', 'Scotch Game: Schmidt Variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Nf6'],
+        ['C44', 'Scotch Gambit', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4'],
+        ['C46', 'Three Knights Opening', 'e4 e5 Nf3 Nc6 Nc3'],
+        ['C47', 'Four Knights Game', 'e4 e5 Nf3 Nc6 Nc3 Nf6'],
+        ['C47', 'Four Knights Game: Scotch Variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 d4'],
+        ['C48', 'Four Knights Game: Spanish Variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5'],
+        ['C44', 'Ponziani Opening', 'e4 e5 Nf3 Nc6 c3'],
+        ['C42', 'Petrov\'s Defense', 'e4 e5 Nf3 Nf6'],
+        ['C42', 'Petrov\'s Defense: Classical Attack', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4'],
+        ['C43', 'Petrov\'s Defense: Modern Attack', 'e4 e5 Nf3 Nf6 d4'],
+        ['C41', 'Philidor Defense', 'e4 e5 Nf3 d6'],
+        ['C40', 'Latvian Gambit', 'e4 e5 Nf3 f5'],
+        ['C40', 'Elephant Gambit', 'e4 e5 Nf3 d5'],
+
+        // Closed games: the queen's gambit and the queen's pawn
+        ['D00', 'Queen\'s Pawn Game', 'd4 d5'],
+        ['D00', 'Queen\'s Pawn Game: Accelerated London System', 'd4 d5 Bf4'],
+        ['D00', 'Queen\'s Pawn Game: Levitsky Attack', 'd4 d5 Bg5'],
+        ['D00', 'Queen\'s Pawn Game: Chigorin Variation', 'd4 d5 Nc3'],
+        ['D00', 'Blackmar-Diemer Gambit', 'd4 d5 e4'],
+        ['D02', 'Queen\'s Pawn Game: Zukertort Variation', 'd4 d5 Nf3'],
+        ['D02', 'Queen\'s Pawn Game: London System', 'd4 d5 Nf3 Nf6 Bf4'],
+        ['D04', 'Queen\'s Pawn Game: Colle System', 'd4 d5 Nf3 Nf6 e3'],
+        ['D06', 'Queen\'s Gambit', 'd4 d5 c4'],
+        ['D30', 'Queen\'s Gambit Declined', 'd4 d5 c4 e6'],
+        ['D31', 'Queen\'s Gambit Declined: Queen\'s Knight Variation', 'd4 d5 c4 e6 Nc3'],
+        ['D53', 'Queen\'s Gambit Declined: Modern Variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7'],
+        ['D60', 'Queen\'s Gambit Declined: Orthodox Defense', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7'],
+        ['D56', 'Queen\'s Gambit Declined: Lasker Defense', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6 Bh4 Ne4'],
+        ['D58', 'Queen\'s Gambit Declined: Tartakower Defense', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6 Bh4 b6'],
+        ['D35', 'Queen\'s Gambit Declined: Exchange Variation', 'd4 d5 c4 e6 Nc3 Nf6 cxd5'],
+        ['D37', 'Queen\'s Gambit Declined: Harrwitz Attack', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 Be7 Bf4'],
+        ['D38', 'Queen\'s Gambit Declined: Ragozin Defense', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 Bb4'],
+        ['D32', 'Tarrasch Defense', 'd4 d5 c4 e6 Nc3 c5'],
+        ['D10', 'Slav Defense', 'd4 d5 c4 c6'],
+        ['D11', 'Slav Defense: Modern Line', 'd4 d5 c4 c6 Nf3'],
+        ['D15', 'Slav Defense: Three Knights Variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3'],
+        ['D17', 'Slav Defense: Czech Variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5'],
+        ['D43', 'Semi-Slav Defense', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6'],
+        ['D45', 'Semi-Slav Defense: Normal Variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6 e3 Nbd7'],
+        ['D47', 'Semi-Slav Defense: Meran Variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6 e3 Nbd7 Bd3 dxc4 Bxc4 b5'],
+        ['D10', 'Slav Defense: Exchange Variation', 'd4 d5 c4 c6 cxd5 cxd5'],
+        ['D20', 'Queen\'s Gambit Accepted', 'd4 d5 c4 dxc4'],
+        ['D27', 'Queen\'s Gambit Accepted: Classical Defense', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5'],
+        ['D07', 'Queen\'s Gambit Declined: Chigorin Defense', 'd4 d5 c4 Nc6'],
+        ['D08', 'Queen\'s Gambit Declined: Albin Countergambit', 'd4 d5 c4 e5'],
+        ['D80', 'Grünfeld Defense', 'd4 Nf6 c4 g6 Nc3 d5'],
+        ['D85', 'Grünfeld Defense: Exchange Variation', 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5'],
+        ['D96', 'Grünfeld Defense: Russian Variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Qb3'],
+
+        // Indian defenses
+        ['E00', 'Indian Defense', 'd4 Nf6 c4 e6'],
+        ['E20', 'Nimzo-Indian Defense', 'd4 Nf6 c4 e6 Nc3 Bb4'],
+        ['E32', 'Nimzo-Indian Defense: Classical Variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2'],
+        ['E40', 'Nimzo-Indian Defense: Normal Variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3'],
+        ['E21', 'Nimzo-Indian Defense: Three Knights Variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Nf3'],
+        ['E24', 'Nimzo-Indian Defense: Sämisch Variation', 'd4 Nf6 c4 e6 Nc3 Bb4 a3 Bxc3+ bxc3'],
+        ['E10', 'Indian Defense: Anti-Nimzo-Indian', 'd4 Nf6 c4 e6 Nf3'],
+        ['E12', 'Queen\'s Indian Defense', 'd4 Nf6 c4 e6 Nf3 b6'],
+        ['E15', 'Queen\'s Indian Defense: Fianchetto Variation', 'd4 Nf6 c4 e6 Nf3 b6 g3'],
+        ['E11', 'Bogo-Indian Defense', 'd4 Nf6 c4 e6 Nf3 Bb4+'],
+        ['E00', 'Catalan Opening', 'd4 Nf6 c4 e6 g3'],
+        ['E06', 'Catalan Opening: Closed', 'd4 Nf6 c4 e6 g3 d5 Bg2 Be7 Nf3'],
+        ['E04', 'Catalan Opening: Open Defense', 'd4 Nf6 c4 e6 g3 d5 Nf3 dxc4 Bg2'],
+        ['E60', 'King\'s Indian Defense', 'd4 Nf6 c4 g6'],
+        ['E61', 'King\'s Indian Defense', 'd4 Nf6 c4 g6 Nc3 Bg7'],
+        ['E70', 'King\'s Indian Defense: Normal Variation', 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6'],
+        ['E90', 'King\'s Indian Defense: Normal Variation', 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O'],
+        ['E92', 'King\'s Indian Defense: Classical Variation', 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5'],
+        ['E97', 'King\'s Indian Defense: Mar del Plata Variation', 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O Nc6 d5 Ne7'],
+        ['E80', 'King\'s Indian Defense: Sämisch Variation', 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3'],
+        ['E76', 'King\'s Indian Defense: Four Pawns Attack', 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f4'],
+        ['E62', 'King\'s Indian Defense: Fianchetto Variation', 'd4 Nf6 c4 g6 Nf3 Bg7 g3']
+    ];
+
+    let book = null;
+
+    // Index the book by position on first use, so transpositions meet. Each
+    // position knows its opening (its own name, or that of the named position
+    // before it on the first line through it) and the book moves played from it,
+    // weighted by how many lines continue with them.
+    function getBook() {
+        if (book) return book;
+
+        const index = new Map();
+        const node = key => {
+            if (!index.has(key)) index.set(key, { opening: null, moves: new Map() });
+            return index.get(key);
+        };
+        // Lines share most of their moves, so each prefix is only replayed once
+        const replayed = new Map([['', ChessRules.parseFen(ChessRules.STARTING_FEN)]]);
+        const lines = OPENINGS.map(([eco, name, moves]) => {
+            const plies = [];
+            let prefix = '';
+            for (const san of moves.split(' ')) {
+                const before = replayed.get(prefix);
+                prefix += ` ${san}`;
+                if (!replayed.has(prefix)) {
+                    const move = ChessRules.parseSan(before, san);
+                    if (!move) throw new Error(`Opening book line "${moves}" has an illegal move: ${san}`);
+                    replayed.set(prefix, ChessRules.applyMove(before, move));
+                }
+                plies.push({ before, san });
+            }
+            return { opening: { eco, name }, position: replayed.get(prefix), plies };
+        });
+
+        for (const line of lines) {
+            const end = node(ChessRules.positionKey(line.position));
+            end.opening = end.opening || line.opening;
+            end.named = true;
+        }
+        for (const line of lines) {
+            let opening = null;
+            for (const ply of line.plies) {
+                const before = node(ChessRules.positionKey(ply.before));
+                opening = before.named ? before.opening : opening;
+                before.opening = before.opening || opening;
+                before.moves.set(ply.san, (before.moves.get(ply.san) || 0) + 1);
+            }
+        }
+
+        book = index;
+        return book;
+    }
+
+    // Book entry for a position: { opening, moves: [{ san, weight }] } with the
+    // most played move first, or null out of book. The opening is null for the
+    // starting position.
+    function lookup(position) {
+        const entry = getBook().get(ChessRules.positionKey(position));
+        if (!entry) return null;
+        const moves = Array.from(entry.moves, ([san, weight]) => ({ san, weight }))
+            .sort((a, b) => b.weight - a.weight);
+        return { opening: entry.opening, moves };
+    }
+
+    // The opening a game is in and whether it is still in book. Only games from
+    // the standard starting position are recognised; others give null.
+    // Returns { opening, inBook, bookPlies } where bookPlies counts the
+    // moves played before the game left the book.
+    function identifyGame(startFen, sanMoves) {
+        const start = ChessRules.parseFen(startFen || ChessRules.STARTING_FEN);
+        if (ChessRules.positionKey(start) !== ChessRules.positionKey(ChessRules.parseFen(ChessRules.STARTING_FEN))) {
+            return null;
+        }
+
+        let position = start;
+        let opening = null;
+        let bookPlies = 0;
+        for (const san of sanMoves) {
+            const move = ChessRules.parseSan(position, san);
+            if (!move) return null;
+            position = ChessRules.applyMove(position, move);
+            const entry = getBook().get(ChessRules.positionKey(position));
+            if (!entry) break;
+            opening = entry.opening || opening;
+            bookPlies++;
+        }
+        return { opening, inBook: bookPlies === sanMoves.length, bookPlies };
+    }
+
+    // The book's main line from a position: the most played move at each step,
+    // for up to `maxPlies` moves
+    function mainLine(position, maxPlies = 6) {
+        const line = [];
+        let current = position;
+        while (line.length < maxPlies) {
+            const entry = lookup(current);
+            const move = entry && entry.moves.length ? ChessRules.parseSan(current, entry.moves[0].san) : null;
+            if (!move) break;
+            line.push(move.san);
+            current = ChessRules.applyMove(current, move);
+        }
+        return line;
+    }
+
+    // Whether { eco, name } names an opening in the book
+    function isKnownOpening(opening) {
+        return Boolean(opening) && OPENINGS.some(([eco, name]) => eco === opening.eco && name === opening.name);
+    }
+
+    return {
+        lookup,
+        identifyGame,
+        mainLine,
+        isKnownOpening
+    };
+});
@@ -0,0 +1,106 @@
+// PGN output and score formatting shared by the extension and the backend.
+// Loaded as a plain script after chess-rules.js in the extension (exposes
+// `Pgn`) and with require() in Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./chess-rules'));
+    } else {
+        root.Pgn = factory(root.ChessRules);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ChessRules) {
+    'use strict';
+
+    // Engine scores are from White's side: "+0.35", "-1.20", "#3", "#-2"
+    function formatScore(score) {
+        if (score.mate !== undefined) return `#${score.mate}`;
+        return `${score.cp >= 0 ? '+' : ''}${(score.cp / 100).toFixed(2)}`;
+    }
+
+    // "12." before a white move, "12..." before a black one
+    function moveNumberLabel(position) {
+        return `${position.fullmove}${position.turn === 'w' ? '.' : '...'}`;
+    }
+
+    // PGN comments can't contain braces
+    function comment(text) {
+        return `{${text.replace(/[{}]/g, '')}}`;
+    }
+
+    // Tag pairs from [name, value] pairs
+    function formatHeaders(headers) {
+        return headers.map(([name, value]) => `[${name} "${String(value).replace(/["\\]/g, '\\$&')}"]`).join('\n');
+    }
+
+    // SAN moves from a position, numbered as PGN (the first move always carries its number)
+    function formatVariation(position, sanMoves) {
+        const tokens = [];
+        let current = position;
+        for (const san of sanMoves) {
+            const move = ChessRules.parseSan(current, san);
+            if (!move) break;
+            if (current.turn === 'w' || !tokens.length) {
+                tokens.push(moveNumberLabel(current));
+            }
+            tokens.push(move.san);
+            current = ChessRules.applyMove(current, move);
+        }
+        return tokens.join(' ');
+    }
+
+    // The suggested move with the main line of its explanation, when there is one
+    function suggestedLine(suggestion, explanation) {
+        const line = explanation && explanation.line;
+        return Array.isArray(line) && line[0] === suggestion.san ? line : [suggestion.san];
+    }
+
+    // A game annotated with suggestions. `moves` are { position, played,
+    // suggestion, summary, line }: the position before the move, the move
+    // played ({ san, uci }), and optionally the suggestion ({ san, uci }) with a
+    // one-line summary and the line to give as a variation (the suggestion
+    // alone by default). A move matching the suggestion gets a comment, any
+    // other a comment and a variation; a summary without a suggestion is a
+    // plain comment. An entry without `played` comes last, for the position
+    // after the final move, and ends the game as a comment.
+    function formatAnnotatedGame(headers, moves, result) {
+        const tokens = [];
+        let needsNumber = true;
+        for (const { position, played, suggestion, summary, line } of moves) {
+            if (!played) {
+                const next = suggestion ? `Suggested next: ${moveNumberLabel(position)} ${suggestion.san}` : '';
+                const text = [next, summary].filter(Boolean).join(' - ');
+                if (text) tokens.push(comment(text));
+                continue;
+            }
+
+            if (position.turn === 'w' || needsNumber) {
+                tokens.push(moveNumberLabel(position));
+            }
+            tokens.push(played.san);
+            needsNumber = false;
+
+            if (suggestion && suggestion.uci === played.uci) {
+                tokens.push(comment(`Suggested move${summary ? `: ${summary}` : ''}`));
+            } else if (suggestion) {
+                tokens.push(comment(`Suggested ${suggestion.san}${summary ? `: ${summary}` : ''}`));
+                tokens.push(`(${formatVariation(position, line || [suggestion.san])})`);
+            } else if (summary) {
+                tokens.push(comment(summary));
+            } else {
+                continue;
+            }
+            needsNumber = true;
+        }
+        tokens.push(result);
+        return `${formatHeaders(headers)}\n\n${tokens.join(' ')}\n`;
+    }
+
+    return {
+        formatScore,
+        moveNumberLabel,
+        comment,
+        formatHeaders,
+        formatVariation,
+        suggestedLine,
+        formatAnnotatedGame
+    };
+});
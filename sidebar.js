@@ -16,17 +16,111 @@ document.addEventListener('DOMContentLoaded', function() {
         isMinimized = !isMinimized;
     });
 
+    // Explanation level, remembered across pages and sent to the content script
+    const verbositySelect = document.getElementById('verbositySelect');
+    verbositySelect.value = localStorage.getItem('verbosity') || 'move';
+    const sendVerbosity = () => {
+        localStorage.setItem('verbosity', verbositySelect.value);
+        window.parent.postMessage({ type: 'SET_VERBOSITY', verbosity: verbositySelect.value }, '*');
+    };
+    verbositySelect.addEventListener('change', sendVerbosity);
+    sendVerbosity();
+
+    // "Guess the move" training, remembered across pages like the explanation level
+    const trainingToggle = document.getElementById('trainingToggle');
+    trainingToggle.checked = localStorage.getItem('training') === 'on';
+    const sendTraining = () => {
+        localStorage.setItem('training', trainingToggle.checked ? 'on' : 'off');
+        window.parent.postMessage({ type: 'SET_TRAINING', enabled: trainingToggle.checked }, '*');
+        showTrainingScore();
+    };
+    trainingToggle.addEventListener('change', sendTraining);
+    sendTraining();
+
+    // The session score is kept by the service worker; follow it from any tab
+    document.getElementById('resetScoreBtn').addEventListener('click', resetTrainingScore);
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'session' && changes[TRAINING_SCORE_KEY]) {
+            showTrainingScore();
+        }
+    });
+
+    // Ask the content script (our parent page) to analyse the current position,
+    // showing the keyboard shortcut if one is set
+    const analyzeBtn = document.getElementById('analyzeBtn');
+    analyzeBtn.addEventListener('click', () => {
+        window.parent.postMessage({ type: 'ANALYZE_POSITION' }, '*');
+    });
+    chrome.commands.getAll().then(commands => {
+        const command = commands.find(c => c.name === 'analyze-position');
+        if (command && command.shortcut) {
+            analyzeBtn.title = `Shortcut: ${command.shortcut}`;
+        }
+    });
+
+    // Ask the content script (our parent page) to review the finished game
+    const reviewBtn = document.getElementById('reviewBtn');
+    reviewBtn.addEventListener('click', () => {
+        reviewBtn.disabled = true;
+        updateStatus('Reviewing game...');
+        window.parent.postMessage({ type: 'REVIEW_GAME' }, '*');
+    });
+
+    // Analysis history of this game: export as PGN or clear
+    document.getElementById('exportPgnBtn').addEventListener('click', exportHistory);
+    document.getElementById('clearHistoryBtn').addEventListener('click', async () => {
+        if (currentHistory) {
+            await clearGameHistory(currentHistory.key);
+            renderHistory(null);
+        }
+    });
+
     // Handle suggestions
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (message.type === 'SUGGESTION') {
             updateSuggestion(message.suggestion);
             hideError();
+        } else if (message.type === 'TRAINING') {
+            updateTraining(message);
+            hideError();
+        } else if (message.type === 'PROGRESS') {
+            updateProgress(message);
+        } else if (message.type === 'FAIR_PLAY') {
+            showFairPlayNotice(message.reason);
+        } else if (message.type === 'OPENING') {
+            updateOpening(message.book);
+        } else if (message.type === 'TACTICS') {
+            updateTactics(message.alerts);
+        } else if (message.type === 'HISTORY') {
+            renderHistory(message.history);
+        } else if (message.type === 'GAME_ENDED') {
+            showReviewButton(message.result);
+        } else if (message.type === 'REVIEW') {
+            updateReview(message.review);
+            hideError();
+        } else if (message.type === 'BACKEND_STATUS') {
+            // Sent by the service worker when the backend goes down or comes back
+            showBackendStatus(message);
         } else if (message.type === 'ERROR') {
             showError(message.error);
+            reviewBtn.disabled = false;
         }
     });
+
+    // Status changes are only pushed when they happen, so ask for the current one
+    chrome.runtime.sendMessage({ type: 'GET_BACKEND_STATUS' }).then(showBackendStatus).catch(() => {});
 });
 
+// The service worker's view of the backend connection: { connected, error }
+function showBackendStatus(status) {
+    if (status.connected) {
+        hideError();
+        updateStatus('Connected to analysis server');
+    } else {
+        showError(status.error);
+    }
+}
+
 function updateStatus(message) {
     document.getElementById('status').textContent = message;
 }
@@ -43,10 +137,394 @@ function hideError() {
     errorDiv.style.display = 'none';
 }
 
+// Human-readable line for a structured move, e.g. "White Knight g1 → f3 (Nf3)"
+function formatMove(move) {
+    const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+    let text = `${capitalize(move.sideToMove)} ${capitalize(move.piece)} ${move.from} → ${move.to}`;
+    if (move.promotion) {
+        text += ` = ${capitalize(move.promotion)}`;
+    }
+    if (move.castle) {
+        text += `, Rook ${move.rookFrom} → ${move.rookTo}`;
+    }
+    return `${text} (${move.san})`;
+}
+
+// Text for the explanation levels: a reason, then plan, threats and main line
+function formatExplanation(explanation) {
+    if (!explanation) return '';
+
+    const lines = [];
+    if (explanation.reason) {
+        lines.push(explanation.reason);
+    }
+    if (explanation.plan) {
+        lines.push(`Plan: ${explanation.plan}`);
+    }
+    if (explanation.threats && explanation.threats.length) {
+        lines.push(`Threats: ${explanation.threats.join('; ')}`);
+    }
+    if (explanation.line && explanation.line.length > 1) {
+        lines.push(`Main line: ${explanation.line.join(' ')}`);
+    }
+    return lines.join('\n');
+}
+
+// Engine evaluation line, noting when the engine disagrees with the suggestion
+function formatEvaluation(evaluation) {
+    if (!evaluation) return '';
+
+    let text = `Engine: ${Pgn.formatScore(evaluation.score)} (depth ${evaluation.depth}), best ${evaluation.bestMove.san}`;
+    if (evaluation.agrees === false) {
+        text += evaluation.suggestionScore
+            ? `\nThe engine disagrees: the suggested move scores ${Pgn.formatScore(evaluation.suggestionScore)}`
+            : '\nThe engine disagrees with the suggested move';
+    }
+    return text;
+}
+
+const PIECE_SYMBOLS = {
+    K: '♔', Q: '♕', R: '♖', B: '♗', N: '♘', P: '♙',
+    k: '♚', q: '♛', r: '♜', b: '♝', n: '♞', p: '♟'
+};
+
+// Clear the candidate list and the position preview
+function clearCandidates() {
+    document.getElementById('candidates').innerHTML = '';
+    document.getElementById('preview').innerHTML = '';
+}
+
+// Ranked candidate moves; clicking one previews the position after it
+function renderCandidates(suggestion) {
+    clearCandidates();
+    const candidates = suggestion.candidates;
+    if (!candidates || candidates.length < 2) return;
+
+    const list = document.getElementById('candidates');
+    candidates.forEach((candidate, index) => {
+        const item = document.createElement('li');
+
+        const move = document.createElement('span');
+        move.className = 'candidate-move';
+        move.textContent = candidate.move.san;
+        item.appendChild(move);
+
+        const values = [];
+        if (candidate.score) values.push(Pgn.formatScore(candidate.score));
+        if (candidate.confidence !== null && candidate.confidence !== undefined) values.push(`${candidate.confidence}%`);
+        if (values.length) {
+            const value = document.createElement('span');
+            value.className = 'candidate-value';
+            value.textContent = values.join(' · ');
+            item.appendChild(value);
+        }
+
+        if (candidate.idea) {
+            const idea = document.createElement('span');
+            idea.className = 'candidate-idea';
+            idea.textContent = candidate.idea;
+            item.appendChild(idea);
+        }
+
+        item.addEventListener('click', () => selectCandidate(suggestion, index));
+        list.appendChild(item);
+    });
+}
+
+// Highlight a candidate, draw the position after it and ask the page to
+// show it as the main arrow on the board
+function selectCandidate(suggestion, index) {
+    const candidates = suggestion.candidates;
+    document.querySelectorAll('#candidates li').forEach((item, i) => {
+        item.classList.toggle('selected', i === index);
+    });
+
+    const candidate = candidates[index];
+    const position = ChessRules.parseFen(suggestion.fen);
+    const move = ChessRules.parseUci(position, candidate.move.uci);
+    if (move) {
+        renderPreview(ChessRules.applyMove(position, move), candidate.move, suggestion.orientation);
+    }
+
+    window.parent.postMessage({
+        type: 'PREVIEW_MOVE',
+        fen: suggestion.fen,
+        move: candidate.move,
+        alternatives: candidates.filter((other, i) => i !== index).map(other => other.move)
+    }, '*');
+}
+
+// Small diagram of a position, from the side at the bottom of the page's board
+function renderPreview(position, lastMove, orientation = 'white') {
+    const preview = document.getElementById('preview');
+    preview.innerHTML = '';
+    const flipped = orientation === 'black';
+    const highlighted = [lastMove.from, lastMove.to];
+
+    for (let row = 0; row < 8; row++) {
+        for (let column = 0; column < 8; column++) {
+            const file = flipped ? 7 - column : column;
+            const rank = flipped ? row : 7 - row;
+            const name = ChessRules.squareName(rank * 8 + file);
+            const square = document.createElement('div');
+            square.className = (file + rank) % 2 === 0 ? 'dark' : 'light';
+            if (highlighted.includes(name)) {
+                square.classList.add('highlight');
+            }
+            square.textContent = PIECE_SYMBOLS[position.board[rank * 8 + file]] || '';
+            preview.appendChild(square);
+        }
+    }
+}
+
+// Opening name and whether the game is still in book. Hidden for games that
+// don't start from the standard position.
+function updateOpening(book) {
+    const container = document.getElementById('opening');
+    container.textContent = '';
+    if (!book) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const name = document.createElement('span');
+    if (book.opening) {
+        name.textContent = `${book.opening.eco} ${book.opening.name}`;
+    } else {
+        name.textContent = book.inBook ? 'Starting position' : 'Unknown opening';
+    }
+    container.appendChild(name);
+
+    const status = document.createElement('span');
+    status.className = book.inBook ? 'book-status in-book' : 'book-status';
+    if (book.inBook) {
+        status.textContent = '· in book';
+    } else {
+        // The first move that wasn't in the book
+        const moveNumber = Math.floor(book.bookPlies / 2) + 1;
+        status.textContent = `· out of book from ${moveNumber}${book.bookPlies % 2 === 0 ? '.' : '...'}`;
+    }
+    container.appendChild(status);
+    container.style.display = 'block';
+}
+
+// Tactical alerts for the position on the board (see tactics.js), hidden when
+// there are none or they aren't shown on this page. Mates and checks stand out.
+function updateTactics(alerts) {
+    const list = document.getElementById('tactics');
+    list.textContent = '';
+    if (!alerts || !alerts.length) {
+        list.style.display = 'none';
+        return;
+    }
+
+    for (const alert of alerts) {
+        const item = document.createElement('li');
+        item.textContent = alert.text;
+        if (alert.type === 'mate' || alert.type === 'check') {
+            item.className = 'urgent';
+        }
+        list.appendChild(item);
+    }
+    list.style.display = 'block';
+}
+
+// The history record of the game on the page, as last sent by the content script
+let currentHistory = null;
+
+// One line per analysed position: the move played, then the suggestion,
+// marked when they match. The explanation shows on hover.
+function renderHistory(record) {
+    currentHistory = record && record.entries.length ? record : null;
+    const panel = document.getElementById('history');
+    const list = document.getElementById('historyList');
+    list.innerHTML = '';
+    if (!currentHistory) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    for (const entry of record.entries) {
+        const position = ChessRules.parseFen(entry.fen);
+        const item = document.createElement('li');
+        const played = entry.played ? entry.played.san : '…';
+        item.appendChild(document.createTextNode(`${Pgn.moveNumberLabel(position)} ${played}: suggested ${entry.suggestion.san}`));
+        if (entry.played && entry.played.uci === entry.suggestion.uci) {
+            const matched = document.createElement('span');
+            matched.className = 'matched';
+            matched.textContent = ' ✓';
+            item.appendChild(matched);
+        }
+        if (entry.explanation && entry.explanation.reason) {
+            item.title = entry.explanation.reason;
+        }
+        list.appendChild(item);
+    }
+    document.getElementById('historyCount').textContent = record.entries.length;
+    panel.style.display = 'block';
+}
+
+// Download the game with the suggestions as comments and variations
+function exportHistory() {
+    if (!currentHistory) return;
+    const blob = new Blob([historyToPgn(currentHistory)], { type: 'application/x-chess-pgn' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `chess-advisor-${new Date().toISOString().slice(0, 10)}.pgn`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Streaming progress for the current position
+function updateProgress(progress) {
+    if (progress.stage === 'connecting') {
+        document.querySelector('.move').textContent = '';
+        document.querySelector('.explanation').textContent = '';
+        document.querySelector('.evaluation').textContent = '';
+        clearCandidates();
+        hideError();
+        updateStatus('Connecting to analysis server...');
+    } else if (progress.stage === 'queued') {
+        updateStatus(progress.cached ? 'Found in cache...' : 'Request queued...');
+    } else if (progress.stage === 'analysing') {
+        updateStatus(progress.attempt > 1
+            ? `Analysing position... (retry ${progress.attempt - 1})`
+            : 'Analysing position...');
+    } else if (progress.stage === 'idle') {
+        document.querySelector('.move').textContent = '';
+        document.querySelector('.explanation').textContent = '';
+        document.querySelector('.evaluation').textContent = '';
+        clearCandidates();
+        updateStatus('New position - press Analyze when you want a suggestion');
+    } else if (progress.stage === 'evaluation') {
+        document.querySelector('.evaluation').textContent = formatEvaluation(progress.evaluation);
+    } else if (progress.stage === 'partial') {
+        document.querySelector('.move').textContent = 'Thinking...';
+        document.querySelector('.explanation').textContent = formatExplanation(progress.explanation);
+    }
+}
+
 function updateSuggestion(suggestion) {
-    document.querySelector('.move').textContent = "Suggested Analysis:";
-    document.querySelector('.explanation').textContent = suggestion.move;
+    document.querySelector('.move').textContent = formatMove(suggestion.move);
+    document.querySelector('.explanation').textContent = formatExplanation(suggestion.explanation);
+    document.querySelector('.evaluation').textContent = formatEvaluation(suggestion.evaluation);
+    renderCandidates(suggestion);
     document.getElementById('remaining').textContent = 
         `Remaining requests today: ${suggestion.remainingRequests}`;
-    updateStatus('Analysis received!');
-} 
\ No newline at end of file
+    let status = suggestion.legal ? 'Analysis received - move verified legal' : 'Analysis received!';
+    if (suggestion.book) {
+        status = 'Book move - known opening theory';
+    }
+    if (suggestion.cacheHit) {
+        status += ' (cached)';
+    }
+    updateStatus(status);
+}
+
+// Session score of the training mode, shown while it is switched on
+async function showTrainingScore() {
+    const enabled = document.getElementById('trainingToggle').checked;
+    const scoreText = document.getElementById('trainingScore');
+    scoreText.style.display = enabled ? 'inline' : 'none';
+    document.getElementById('resetScoreBtn').style.display = enabled ? 'inline' : 'none';
+    if (!enabled) {
+        document.getElementById('trainingResult').style.display = 'none';
+        return;
+    }
+
+    const score = await getTrainingScore();
+    scoreText.textContent = `${score.points} pts · ${score.best}/${score.guesses} best`;
+}
+
+// Training mode: ask for a guess while the suggestion is hidden, then show how
+// the guess compared once it has been played
+function updateTraining(message) {
+    const result = document.getElementById('trainingResult');
+    if (message.stage === 'guess') {
+        document.querySelector('.move').textContent = 'Your move - play your guess on the board';
+        document.querySelector('.explanation').textContent = '';
+        document.querySelector('.evaluation').textContent = '';
+        clearCandidates();
+        result.style.display = 'none';
+        document.getElementById('remaining').textContent =
+            `Remaining requests today: ${message.remainingRequests}`;
+        updateStatus('Guess the move - the suggestion is hidden until you play');
+        return;
+    }
+
+    const suggested = message.suggestion.move.san;
+    let text;
+    if (message.stage === 'skipped') {
+        text = `No guess scored - the position changed. The advisor's move was ${suggested}.`;
+        result.className = 'training-result';
+    } else {
+        if (message.verdict === 'best') {
+            text = `${message.guess.san} - the advisor's move! +${message.points}`;
+        } else if (message.verdict === 'candidate') {
+            text = `${message.guess.san} - one of the candidates, +${message.points}. The advisor's move was ${suggested}.`;
+        } else {
+            text = `${message.guess.san} - the advisor preferred ${suggested}.`;
+        }
+        result.className = `training-result ${message.verdict}`;
+    }
+    const explanation = formatExplanation(message.suggestion.explanation);
+    result.textContent = explanation ? `${text}\n${explanation}` : text;
+    result.style.display = 'block';
+}
+
+// Suggestions are blocked on this page; clear any stale suggestion and say why
+function showFairPlayNotice(reason) {
+    document.querySelector('.move').textContent = '';
+    document.querySelector('.explanation').textContent = '';
+    document.querySelector('.evaluation').textContent = '';
+    clearCandidates();
+    hideError();
+    updateStatus(reason);
+}
+
+function showReviewButton(result) {
+    const reviewBtn = document.getElementById('reviewBtn');
+    reviewBtn.style.display = 'block';
+    reviewBtn.disabled = false;
+    updateStatus(`Game over (${result})`);
+}
+
+function updateReview(review) {
+    const container = document.getElementById('review');
+    container.textContent = '';
+
+    const summary = document.createElement('div');
+    summary.className = 'review-summary';
+    summary.textContent = ['white', 'black'].map(color => {
+        const counts = review.summary[color];
+        return `${color === 'white' ? 'White' : 'Black'}: ${counts.inaccuracy} inaccuracies, ${counts.mistake} mistakes, ${counts.blunder} blunders`;
+    }).join('\n');
+    container.appendChild(summary);
+
+    for (const entry of review.moves) {
+        const row = document.createElement('div');
+        row.className = 'review-move';
+
+        const label = `${entry.moveNumber}${entry.played.sideToMove === 'white' ? '.' : '...'} ${entry.played.san}`;
+        row.appendChild(document.createTextNode(`${label} `));
+
+        if (entry.classification) {
+            const badge = document.createElement('span');
+            badge.className = `classification ${entry.classification}`;
+            badge.textContent = entry.classification;
+            row.appendChild(badge);
+        }
+        if (entry.best && entry.best.uci !== entry.played.uci) {
+            row.appendChild(document.createTextNode(` (best: ${entry.best.san})`));
+        }
+        if (entry.comment) {
+            row.appendChild(document.createTextNode(` - ${entry.comment}`));
+        }
+        container.appendChild(row);
+    }
+
+    document.getElementById('reviewBtn').style.display = 'none';
+    document.getElementById('remaining').textContent =
+        `Remaining requests today: ${review.remainingRequests}`;
+    updateStatus('Game review received!');
+}
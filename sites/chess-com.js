@@ -0,0 +1,127 @@
+// chess.com adapter - see sites/site-adapter.js for the interface
+
+// Move list tokens that look like SAN; clocks, results and annotations don't match
+const SAN_TOKEN = /^(O-O(-O)?|0-0(-0)?|[NBRQK]?[a-h]?[1-8]?x?[a-h][1-8](=?[NBRQ])?)[+#]?[!?]*$/;
+
+const ChessComAdapter = {
+    name: 'chess.com',
+
+    selectors: {
+        board: 'wc-chess-board, chess-board',
+        legacyBoard: '.board',
+        moveList: '.move-list',
+        gameControls: '.game-controls',
+        playerRow: '.player-row',
+        clock: '.clock-component',
+        analysisBoard: '.analysis-board',
+        gameOver: '.game-over-modal-content'
+    },
+
+    matches(location) {
+        return /(^|\.)chess\.com$/.test(location.hostname);
+    },
+
+    hasBoard() {
+        return window.location.pathname.includes('/game/') ||
+            Object.values(this.selectors).some(selector => document.querySelector(selector));
+    },
+
+    // Anything we can't positively identify as analysis, a bot game or a
+    // finished game is treated as off-limits
+    detectPage(gameState) {
+        const path = window.location.pathname;
+
+        if (/^\/(analysis|explorer)(\/|$)/.test(path) || document.querySelector(this.selectors.analysisBoard)) {
+            return { context: PAGE_CONTEXTS.ANALYSIS, reason: 'Analysis board' };
+        }
+        if ((gameState && gameState.result) || document.querySelector(this.selectors.gameOver)) {
+            return { context: PAGE_CONTEXTS.FINISHED, reason: 'Game finished' };
+        }
+        if (/^\/(play\/computer|game\/computer)(\/|$)/.test(path)) {
+            return { context: PAGE_CONTEXTS.BOT, reason: 'Game against a computer' };
+        }
+        if (/^\/(game\/live|game\/daily|play\/online|live|daily)(\/|$)/.test(path) || document.querySelector(this.selectors.clock)) {
+            return { context: PAGE_CONTEXTS.LIVE_HUMAN, reason: LIVE_GAME_REASON };
+        }
+        return { context: PAGE_CONTEXTS.UNKNOWN, reason: UNSUPPORTED_PAGE_REASON };
+    },
+
+    readMoveList() {
+        const moveList = document.querySelector(this.selectors.moveList);
+        if (!moveList) return null;
+
+        const resultElement = moveList.querySelector('.game-result');
+        return {
+            moves: this.readMoves(moveList),
+            startFen: null,
+            result: normalizeResult((resultElement || moveList).textContent)
+        };
+    },
+
+    readMoves(moveList) {
+        let nodes = moveList.querySelectorAll('.node.main-line-ply');
+        if (!nodes.length) {
+            nodes = moveList.querySelectorAll('.node');
+        }
+
+        if (nodes.length) {
+            return Array.from(nodes).map(node => {
+                // chess.com renders the piece letter as a figurine icon, e.g. <span data-figurine="N">
+                const figurine = node.querySelector('[data-figurine]');
+                const letter = figurine ? figurine.getAttribute('data-figurine') : '';
+                const text = node.textContent.trim();
+                return text.endsWith('=') ? text + letter : letter + text;
+            }).filter(Boolean);
+        }
+
+        return moveList.textContent
+            .replace(/\d+\.+/g, ' ')
+            .split(/\s+/)
+            .filter(token => SAN_TOKEN.test(token));
+    },
+
+    // chess.com has no start position in the page for Chess960 games, so they
+    // are read from the board instead of the move list
+    isChess960() {
+        return /(^|\/)(chess960|daily960)(\/|$)/.test(window.location.pathname);
+    },
+
+    // For pages without a move list (e.g. a position set up on the analysis board)
+    readPosition() {
+        const sources = [
+            [document.querySelector('wc-chess-board'), ['position', 'fen']],
+            [document.querySelector('chess-board'), ['fen', 'position', 'data-fen', 'data-position']],
+            [document.querySelector('.board-layout-main .board-container'), ['data-board-position']],
+            [document.querySelector('.analysis-board .board'), ['data-fen']]
+        ];
+
+        for (const [element, attrs] of sources) {
+            if (!element) continue;
+            for (const attr of attrs) {
+                const value = element.getAttribute(attr);
+                if (value && isValidFEN(value)) {
+                    return value;
+                }
+            }
+        }
+        return null;
+    },
+
+    observeChanges(onChange) {
+        observeElement(this.selectors.moveList, {
+            childList: true,
+            characterData: true,
+            subtree: true
+        }, onChange);
+    },
+
+    getBoardElement() {
+        return document.querySelector(this.selectors.board);
+    },
+
+    // chess.com toggles the `flipped` class on the board
+    getOrientation() {
+        const board = this.getBoardElement();
+        return board && board.classList.contains('flipped') ? 'black' : 'white';
+    }
+};
@@ -0,0 +1,141 @@
+// lichess.org adapter for the analysis board and study pages - see
+// sites/site-adapter.js for the interface
+
+// Figurine notation, if the user has turned it on in lichess' display settings
+const FIGURINES = {
+    '♔': 'K', '♕': 'Q', '♖': 'R', '♗': 'B', '♘': 'N',
+    '♚': 'K', '♛': 'Q', '♜': 'R', '♝': 'B', '♞': 'N'
+};
+
+const LichessAdapter = {
+    name: 'lichess.org',
+
+    selectors: {
+        boardWrap: '.cg-wrap',
+        board: 'cg-container',
+        moveList: '.analyse__moves',
+        tree: '.tview2',
+        fenInput: 'input.analyse__underboard__fen',
+        variant: '.variant-link',
+        clock: '.rclock'
+    },
+
+    matches(location) {
+        return /(^|\.)lichess\.org$/.test(location.hostname);
+    },
+
+    hasBoard() {
+        return Boolean(document.querySelector(this.selectors.boardWrap) || document.querySelector(this.selectors.moveList));
+    },
+
+    // Only the analysis board and studies are supported; game pages are live
+    // games unless lichess shows a result
+    detectPage(gameState) {
+        const path = window.location.pathname;
+
+        if (/^\/(analysis|study)(\/|$)/.test(path)) {
+            return { context: PAGE_CONTEXTS.ANALYSIS, reason: 'Analysis board' };
+        }
+        if ((gameState && gameState.result) || document.querySelector('.rcontrols .result-wrap')) {
+            return { context: PAGE_CONTEXTS.FINISHED, reason: 'Game finished' };
+        }
+        if (document.querySelector(this.selectors.clock)) {
+            return { context: PAGE_CONTEXTS.LIVE_HUMAN, reason: LIVE_GAME_REASON };
+        }
+        return { context: PAGE_CONTEXTS.UNKNOWN, reason: UNSUPPORTED_PAGE_REASON };
+    },
+
+    // The moves leading to the selected node of the move tree, which may be
+    // inside a variation
+    readMoveList() {
+        const tree = document.querySelector(this.selectors.tree);
+        if (!tree) return null;
+
+        const active = tree.querySelector('move.active');
+        const mainLine = tree.querySelectorAll(':scope > move');
+        const resultElement = tree.querySelector(':scope > .result');
+        return {
+            moves: active ? this.readPath(active) : [],
+            startFen: this.readStartFen(),
+            // The result belongs to the end of the main line only
+            result: resultElement && active && active === mainLine[mainLine.length - 1]
+                ? normalizeResult(resultElement.textContent)
+                : null
+        };
+    },
+
+    // Variations are rendered after the move they replace, as
+    // <interrupt><lines><line>...</line></lines></interrupt>
+    readPath(moveElement) {
+        const container = moveElement.parentElement;
+        const moves = [];
+        for (const child of container.children) {
+            if (child.tagName === 'MOVE') {
+                moves.push(this.readSan(child));
+            }
+            if (child === moveElement) break;
+        }
+
+        const interrupt = container.closest('interrupt');
+        if (!interrupt) return moves;
+
+        let replaced = interrupt.previousElementSibling;
+        while (replaced && replaced.tagName !== 'MOVE') {
+            replaced = replaced.previousElementSibling;
+        }
+        const before = replaced ? this.readPath(replaced).slice(0, -1) : [];
+        return before.concat(moves);
+    },
+
+    readSan(moveElement) {
+        const san = moveElement.querySelector('san');
+        const text = san ? san.textContent : moveElement.firstChild ? moveElement.firstChild.textContent : '';
+        return text.trim().replace(/[♔♕♖♗♘♚♛♜♝♞]/g, figurine => FIGURINES[figurine]);
+    },
+
+    // Positions set up from a FEN have it in the URL, e.g.
+    // /analysis/standard/rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR_b_KQkq_-_0_1
+    // or /analysis/chess960/<FEN>
+    readStartFen() {
+        const match = window.location.pathname.match(/^\/analysis\/(?:standard\/|chess960\/)?(.+)$/);
+        if (!match) return null;
+        const fen = decodeURIComponent(match[1]).replace(/_/g, ' ');
+        return isValidFEN(fen) ? fen : null;
+    },
+
+    // Game pages name the variant next to the players
+    isChess960() {
+        const variant = document.querySelector(this.selectors.variant);
+        return /^\/analysis\/chess960(\/|$)/.test(window.location.pathname) ||
+            Boolean(variant && /960/.test(variant.textContent));
+    },
+
+    // The FEN box under the board follows the selected move
+    readPosition() {
+        const input = document.querySelector(this.selectors.fenInput);
+        if (input && isValidFEN(input.value)) {
+            return input.value;
+        }
+        return null;
+    },
+
+    // Moving through the tree only changes which move has the `active` class
+    observeChanges(onChange) {
+        observeElement(this.selectors.moveList, {
+            childList: true,
+            characterData: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['class']
+        }, onChange);
+    },
+
+    getBoardElement() {
+        return document.querySelector(this.selectors.board);
+    },
+
+    getOrientation() {
+        const wrap = document.querySelector(this.selectors.boardWrap);
+        return wrap && wrap.classList.contains('orientation-black') ? 'black' : 'white';
+    }
+};
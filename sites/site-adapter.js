@@ -0,0 +1,66 @@
+// Site adapters - everything that knows a particular site's DOM lives behind
+// this interface, so content.js and board-overlay.js work on any supported site.
+//
+// An adapter is an object with:
+//   name                   - shown in logs
+//   selectors              - the DOM hooks it relies on, listed by the board detection test
+//   matches(location)      - whether the adapter handles this page
+//   hasBoard()             - whether a board or move list is on the page yet
+//   detectPage(gameState)  - { context, reason } for the fair-play guard, see PAGE_CONTEXTS
+//   readMoveList()         - { moves, startFen, result } for the position on the board:
+//                            SAN moves from startFen (null for the standard start) and the
+//                            result shown by the site, or null; null without a move list
+//   readPosition()         - FEN shown by the board or the page, or null
+//   isChess960()           - whether the page shows a Chess960 game. Its moves are only
+//                            replayed from a startFen given by readMoveList()
+//   observeChanges(onChange) - call onChange whenever the position may have changed
+//   getBoardElement()      - element the board overlay is drawn in
+//   getOrientation()       - 'white' or 'black', the side at the bottom of the board
+//
+// Adapters are loaded before content.js and board-overlay.js (see manifest.json)
+// and may use content.js helpers such as isValidFEN() once the page is running.
+
+// Page contexts for the fair-play guard
+const PAGE_CONTEXTS = {
+    LIVE_HUMAN: 'live-human',
+    BOT: 'bot',
+    ANALYSIS: 'analysis',
+    FINISHED: 'finished',
+    UNKNOWN: 'unknown'
+};
+
+const UNSUPPORTED_PAGE_REASON = 'Suggestions are only available on the analysis board, in bot games and for finished games.';
+const LIVE_GAME_REASON = 'Suggestions are disabled during games against other players. They come back when the game is over.';
+
+// Normalise a result as sites display it ("½-½") to PGN
+function normalizeResult(text) {
+    const match = (text || '').trim().match(/(1-0|0-1|1\/2-1\/2|½-½)$/);
+    if (!match) return null;
+    return match[1] === '½-½' ? '1/2-1/2' : match[1];
+}
+
+// Observe the element matching `selector`, waiting for it to appear first.
+// Sites re-render their move lists, so a replaced element is picked up again.
+function observeElement(selector, options, onChange) {
+    let observed = null;
+    const observer = new MutationObserver(onChange);
+
+    const attach = () => {
+        const element = document.querySelector(selector);
+        if (element && element !== observed) {
+            observer.disconnect();
+            observer.observe(element, options);
+            observed = element;
+            console.log(`Observing ${selector}`);
+            onChange();
+        } else if (!element) {
+            console.log(`${selector} not found, retrying in 2 seconds...`);
+        }
+        setTimeout(attach, element ? 5000 : 2000);
+    };
+    attach();
+}
+
+function getSiteAdapter() {
+    return [ChessComAdapter, LichessAdapter].find(adapter => adapter.matches(window.location)) || null;
+}
@@ -0,0 +1,201 @@
+// Tactical alerts: a quick offline scan of a position for loose pieces, checks
+// and captures either side has, and simple forks and pins. It looks no further
+// than one move, so an alert is a prompt to look closer, not an evaluation.
+// Runs locally - no backend call and nothing counted against the quota.
+// Needs shared/chess-rules.js.
+
+const TACTIC_PIECE_VALUES = { P: 1, N: 3, B: 3, R: 5, Q: 9, K: 100 };
+
+const TACTIC_COLOR_NAMES = { w: 'White', b: 'Black' };
+
+// Alerts sort by type in this order; the first MAX_TACTICAL_ALERTS are kept
+const TACTIC_TYPES = ['mate', 'check', 'hanging', 'fork', 'pin', 'underdefended', 'capture', 'checks'];
+const MAX_TACTICAL_ALERTS = 8;
+
+// Moves named in one capture or check alert, and fork alerts per side
+const MAX_LISTED_MOVES = 4;
+const MAX_FORKS_PER_SIDE = 2;
+
+// Lines a bishop, rook or queen pins along, as [file step, rank step]
+const PINNING_LINES = {
+    B: ChessRules.BISHOP_DIRS,
+    R: ChessRules.ROOK_DIRS,
+    Q: ChessRules.BISHOP_DIRS.concat(ChessRules.ROOK_DIRS)
+};
+
+function pieceValue(piece) {
+    return TACTIC_PIECE_VALUES[ChessRules.typeOf(piece)];
+}
+
+// "the knight on f3"
+function describeTacticPiece(board, square) {
+    return `the ${ChessRules.PIECE_NAMES[ChessRules.typeOf(board[square])].toLowerCase()} on ${ChessRules.squareName(square)}`;
+}
+
+// "White's knight on f3"
+function describeOwnedPiece(board, square) {
+    return `${TACTIC_COLOR_NAMES[ChessRules.colorOf(board[square])]}'s ${describeTacticPiece(board, square).slice(4)}`;
+}
+
+function joinMoves(moves) {
+    const sans = moves.slice(0, MAX_LISTED_MOVES).map(move => move.san);
+    return moves.length > MAX_LISTED_MOVES ? `${sans.join(', ')}, …` : sans.join(', ');
+}
+
+// The legal moves `color` has. For the side not to move they are the moves it
+// would have if it could move again (a null move), which is what it threatens.
+function movesFor(position, color) {
+    if (color === position.turn) {
+        return ChessRules.legalMoves(position);
+    }
+    return ChessRules.legalMoves(Object.assign({}, position, { turn: color, epSquare: null }));
+}
+
+// Pieces that are attacked and not defended, attacked by something worth less,
+// or attacked more often than defended
+function findLoosePieces(board) {
+    const alerts = [];
+    board.forEach((piece, square) => {
+        if (!piece || ChessRules.typeOf(piece) === 'K') return;
+        const color = ChessRules.colorOf(piece);
+        const attackers = ChessRules.attackersOf(board, square, ChessRules.opposite(color));
+        if (!attackers.length) return;
+        const defenders = ChessRules.attackersOf(board, square, color);
+        const cheapest = attackers.reduce((best, from) => (pieceValue(board[from]) < pieceValue(board[best]) ? from : best));
+
+        if (!defenders.length) {
+            alerts.push({ type: 'hanging', color, text: `${describeOwnedPiece(board, square)} is hanging` });
+        } else if (pieceValue(board[cheapest]) < pieceValue(piece)) {
+            alerts.push({ type: 'hanging', color, text: `${describeOwnedPiece(board, square)} is attacked by ${describeTacticPiece(board, cheapest)}` });
+        } else if (attackers.length > defenders.length) {
+            alerts.push({
+                type: 'underdefended',
+                color,
+                text: `${describeOwnedPiece(board, square)} is attacked ${attackers.length}× and defended ${defenders.length}×`
+            });
+        }
+    });
+    return alerts;
+}
+
+// Mates in one, checks and captures available to `color`, with the captures
+// that win material (an undefended piece, or one worth more) listed first
+function findForcingMoves(position, color, moves) {
+    const alerts = [];
+    const name = TACTIC_COLOR_NAMES[color];
+    const toMove = color === position.turn;
+
+    const mates = moves.filter(move => move.san.endsWith('#'));
+    if (mates.length) {
+        alerts.push({ type: 'mate', color, text: `${name} ${toMove ? 'can mate with' : 'threatens mate with'} ${joinMoves(mates)}` });
+    }
+
+    const checks = moves.filter(move => move.san.endsWith('+'));
+    if (checks.length) {
+        alerts.push({ type: 'checks', color, text: `${name} ${toMove ? 'can check with' : 'threatens check with'} ${joinMoves(checks)}` });
+    }
+
+    const winsMaterial = move => {
+        const target = ChessRules.parseSquare(move.to);
+        return TACTIC_PIECE_VALUES[move.captured] > TACTIC_PIECE_VALUES[move.piece] ||
+            ChessRules.attackersOf(position.board, target, ChessRules.opposite(color)).length === 0;
+    };
+    const captures = moves.filter(move => move.captured && !move.san.endsWith('#'));
+    if (captures.length) {
+        const winning = captures.filter(winsMaterial);
+        const ordered = winning.concat(captures.filter(move => !winning.includes(move)));
+        let text = `${name} ${toMove ? 'can capture' : 'threatens to capture'}: ${joinMoves(ordered)}`;
+        if (winning.length) {
+            text += ` (${winning.length === 1 ? `${winning[0].san} wins material` : 'some win material'})`;
+        }
+        alerts.push({ type: 'capture', color, text });
+    }
+    return alerts;
+}
+
+// Moves after which the moved piece, safe on its square, attacks two or more
+// pieces it would win: the king, something worth more, or something undefended
+function findForks(position, color, moves) {
+    const alerts = [];
+    const enemy = ChessRules.opposite(color);
+    for (const move of moves) {
+        if (alerts.length >= MAX_FORKS_PER_SIDE) break;
+        const board = ChessRules.applyMove(position, move).board;
+        const to = ChessRules.parseSquare(move.to);
+        const value = pieceValue(board[to]);
+
+        const attackers = ChessRules.attackersOf(board, to, enemy);
+        const safe = !attackers.length || (ChessRules.attackersOf(board, to, color).length > 0 &&
+            attackers.every(from => pieceValue(board[from]) >= value));
+        if (!safe) continue;
+
+        const targets = [];
+        board.forEach((piece, square) => {
+            if (!piece || ChessRules.colorOf(piece) !== enemy) return;
+            if (!ChessRules.attackersOf(board, square, color).includes(to)) return;
+            const undefended = ChessRules.typeOf(piece) !== 'P' && !ChessRules.attackersOf(board, square, enemy).length;
+            if (ChessRules.typeOf(piece) === 'K' || pieceValue(piece) > value || undefended) {
+                targets.push(describeTacticPiece(board, square));
+            }
+        });
+        if (targets.length >= 2) {
+            const verb = color === position.turn ? 'can fork with' : 'threatens a fork with';
+            alerts.push({ type: 'fork', color, text: `${TACTIC_COLOR_NAMES[color]} ${verb} ${move.san}: ${targets.join(' and ')}` });
+        }
+    }
+    return alerts;
+}
+
+// Pieces that can't move off a line without exposing their king (an absolute
+// pin), or a piece behind them worth more than both them and the pinning piece
+function findPins(board) {
+    const alerts = [];
+    board.forEach((piece, from) => {
+        if (!piece || !PINNING_LINES[ChessRules.typeOf(piece)]) return;
+        const enemy = ChessRules.opposite(ChessRules.colorOf(piece));
+        for (const [df, dr] of PINNING_LINES[ChessRules.typeOf(piece)]) {
+            const line = [];
+            let square = ChessRules.offset(from, df, dr);
+            while (square !== null && line.length < 2) {
+                if (board[square]) line.push(square);
+                square = ChessRules.offset(square, df, dr);
+            }
+            if (line.length < 2) continue;
+            const [pinned, behind] = line;
+            if (ChessRules.colorOf(board[pinned]) !== enemy || ChessRules.colorOf(board[behind]) !== enemy) continue;
+            if (ChessRules.typeOf(board[pinned]) === 'K') continue;
+            const value = pieceValue(board[behind]);
+            if (value <= pieceValue(board[pinned]) || value <= pieceValue(piece)) continue;
+            alerts.push({
+                type: 'pin',
+                color: enemy,
+                text: `${describeOwnedPiece(board, pinned)} is pinned to ${ChessRules.typeOf(board[behind]) === 'K' ? 'the king' : describeTacticPiece(board, behind)} by ${describeTacticPiece(board, from)}`
+            });
+        }
+    });
+    return alerts;
+}
+
+// Tactical alerts for a position: [{ type, color, text }], most urgent first.
+// `color` is the side the alert is about - whose piece is loose or pinned, or
+// who has the check, capture or fork. `options` are passed to parseFen.
+function scanTactics(fen, options) {
+    const position = ChessRules.parseFen(fen, options);
+    const alerts = [];
+    const inCheck = ChessRules.isCheck(position);
+    if (inCheck) {
+        alerts.push({ type: 'check', color: position.turn, text: `${TACTIC_COLOR_NAMES[position.turn]} is in check` });
+    }
+    alerts.push(...findLoosePieces(position.board), ...findPins(position.board));
+
+    // The side not to move only gets a turn of its own when that is legal
+    const colors = inCheck ? [position.turn] : [position.turn, ChessRules.opposite(position.turn)];
+    for (const color of colors) {
+        const moves = movesFor(position, color);
+        alerts.push(...findForcingMoves(position, color, moves), ...findForks(position, color, moves));
+    }
+
+    return alerts
+        .sort((a, b) => TACTIC_TYPES.indexOf(a.type) - TACTIC_TYPES.indexOf(b.type))
+        .slice(0, MAX_TACTICAL_ALERTS);
+}
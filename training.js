@@ -0,0 +1,60 @@
+// "Guess the move" training: the suggestion stays hidden until the user has
+// played their own move, which is then scored against it. The running score
+// lives in chrome.storage.session, so it lasts until the browser is closed.
+// Needs shared/chess-rules.js.
+
+const TRAINING_SCORE_KEY = 'trainingScore';
+
+// Points for a guess: the advisor's move, another of its candidate moves, anything else
+const GUESS_POINTS = { best: 3, candidate: 1, miss: 0 };
+
+const EMPTY_TRAINING_SCORE = { guesses: 0, best: 0, candidate: 0, points: 0 };
+
+// The legal move that leads from one position to the other, or null when the
+// second position isn't one move on from the first
+function findPlayedMove(fromFen, toFen) {
+    if (!fromFen || !toFen) return null;
+    const position = ChessRules.parseFen(fromFen);
+    const target = ChessRules.positionKey(ChessRules.parseFen(toFen));
+    return ChessRules.legalMoves(position)
+        .find(move => ChessRules.positionKey(ChessRules.applyMove(position, move)) === target) || null;
+}
+
+// Score a played move against a suggestion response: { verdict, points }
+function scoreGuess(played, data) {
+    let verdict = 'miss';
+    if (played.uci === data.suggestion.uci) {
+        verdict = 'best';
+    } else if ((data.candidates || []).some(candidate => candidate.move.uci === played.uci)) {
+        verdict = 'candidate';
+    }
+    return { verdict, points: GUESS_POINTS[verdict] };
+}
+
+async function getTrainingScore() {
+    const stored = await chrome.storage.session.get({ [TRAINING_SCORE_KEY]: EMPTY_TRAINING_SCORE });
+    return stored[TRAINING_SCORE_KEY];
+}
+
+// Guesses from several tabs are added one at a time
+let trainingQueue = Promise.resolve();
+
+// Add a scored guess to the session score. Resolves to the new score.
+function recordGuess(verdict) {
+    const result = trainingQueue.then(async () => {
+        const score = Object.assign({}, await getTrainingScore());
+        score.guesses++;
+        if (verdict !== 'miss') {
+            score[verdict]++;
+        }
+        score.points += GUESS_POINTS[verdict];
+        await chrome.storage.session.set({ [TRAINING_SCORE_KEY]: score });
+        return score;
+    });
+    trainingQueue = result.catch(() => {});
+    return result;
+}
+
+function resetTrainingScore() {
+    return chrome.storage.session.remove(TRAINING_SCORE_KEY);
+}